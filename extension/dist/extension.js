@@ -0,0 +1,581 @@
+"use strict";
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *  GIT AUTOPUSH ON SAVE - MODULAR EDITION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * 
+ * Main extension entry point. This file orchestrates all modules:
+ * - stats.js       → Commit statistics & gamification
+ * - ai-service.js  → AI-powered commit message generation
+ * - git-operations.js → Git commands and operations
+ * - repositories.js → Multi-root / nested repository resolution
+ * - ui.js          → Status bar and visual elements
+ * - commit-flow.js → Shared message generation & commit execution
+ * - batch-queue.js → Debounced batch commits across several saves
+ * - interval-scheduler.js → Timed commits every N minutes
+ * - push-queue.js → Retries pushes that failed while offline
+ * - undo-stack.js → Persisted list of commits that can be undone
+ * - commands.js    → All registered VS Code commands
+ * 
+ * @author Git AutoPush Team
+ * @version 2.0.0
+ */
+
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.deactivate = exports.activate = void 0;
+
+const vscode = require("vscode");
+const path = require("path");
+const minimatch = require("minimatch");
+
+// Import modules
+const { createStatsManager } = require("./modules/stats");
+const { createAIService } = require("./modules/ai-service");
+const { createGitOperations } = require("./modules/git-operations");
+const { createRepositoryManager } = require("./modules/repositories");
+const { createUIManager } = require("./modules/ui");
+const { registerCommands } = require("./modules/commands");
+const { createKeyStore } = require("./modules/key-store");
+const { createCommitFlow } = require("./modules/commit-flow");
+const { createBatchQueue } = require("./modules/batch-queue");
+const { createIntervalScheduler } = require("./modules/interval-scheduler");
+const { createPushQueue } = require("./modules/push-queue");
+const { createUndoStack } = require("./modules/undo-stack");
+const { createStyleExamples } = require("./modules/style-examples");
+const { createPairingSession } = require("./modules/pairing-session");
+const { createRepoLock } = require("./modules/repo-lock");
+
+/**
+ * Extension activation
+ * @param {vscode.ExtensionContext} context
+ */
+function activate(context) {
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  INITIALIZE CORE COMPONENTS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const outputChannel = vscode.window.createOutputChannel('git-autopush-debug');
+
+    outputChannel.appendLine('git-autopush: Initializing modules...');
+
+    // Initialize modules
+    const statsManager = createStatsManager(context);
+    const aiService = createAIService(outputChannel);
+    const gitOps = createGitOperations(outputChannel);
+    const keyStore = createKeyStore({ context, aiService, outputChannel });
+    const repoManager = createRepositoryManager({ gitOps, outputChannel });
+
+    // Save, batch and interval commits on the same repository run one at a time
+    const repoLock = createRepoLock();
+
+    // Saves collected for one commit when gitAutopush.batch.enabled is on
+    const batchQueue = createBatchQueue({
+        outputChannel,
+        onFlush: (repoRoot, batch) => commitBatch(repoRoot, batch, saveDeps),
+        onChange: () => uiManager.updateStatusBar()
+    });
+    context.subscriptions.push({ dispose: batchQueue.dispose });
+
+    // Timed commits when gitAutopush.interval.enabled is on
+    const intervalScheduler = createIntervalScheduler({
+        repoManager,
+        outputChannel,
+        onDue: (repoRoot, config) => commitInterval(repoRoot, config, saveDeps)
+    });
+    context.subscriptions.push({ dispose: intervalScheduler.dispose });
+
+    // Failed pushes, retried with backoff and on window focus
+    const pushQueue = createPushQueue({
+        context,
+        gitOps,
+        outputChannel,
+        onChange: () => uiManager.refreshAheadCount(),
+        onRejected: (rejected) => commitFlow.offerRebase(rejected)
+    });
+    context.subscriptions.push({ dispose: pushQueue.dispose });
+
+    // Commits made by the extension, newest first (survives reloads)
+    const undoStack = createUndoStack({ context });
+
+    // Recent messages from each repository's history, shown to the AI as style examples
+    const styleExamples = createStyleExamples({ gitOps, undoStack, outputChannel });
+
+    // Co-authors credited on every commit until the pairing session ends
+    const pairingSession = createPairingSession({
+        context,
+        outputChannel,
+        onChange: () => uiManager.updateStatusBar()
+    });
+
+    const uiManager = createUIManager({
+        getStats: statsManager.getStats,
+        gitOps,
+        repoManager,
+        batchQueue,
+        intervalScheduler,
+        pushQueue,
+        pairingSession,
+        outputChannel
+    });
+
+    // Shared state (mutable, passed by reference)
+    const state = {
+        triggerNonces: new Map(),
+        lastCommitInfo: undoStack.getEntries()[0] || null
+    };
+
+    const commitFlow = createCommitFlow({
+        statsManager,
+        aiService,
+        keyStore,
+        gitOps,
+        uiManager,
+        pushQueue,
+        undoStack,
+        styleExamples,
+        pairingSession,
+        outputChannel,
+        state
+    });
+
+    // Register all commands
+    registerCommands({
+        context,
+        statsManager,
+        uiManager,
+        gitOps,
+        repoManager,
+        aiService,
+        keyStore,
+        commitFlow,
+        commitChanges: (options) => commitChanges(options, saveDeps),
+        pushQueue,
+        undoStack,
+        pairingSession,
+        outputChannel,
+        state
+    });
+
+    // Initialize status bar (follows the active editor's repository)
+    uiManager.updateStatusBar();
+    context.subscriptions.push(uiManager.getStatusBarItem());
+    context.subscriptions.push(
+        vscode.window.onDidChangeActiveTextEditor(() => uiManager.updateStatusBar())
+    );
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  LEGACY KEY MIGRATION (settings.json → SecretStorage)
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    keyStore.migrateLegacyKeys().catch(e => {
+        outputChannel.appendLine(`git-autopush: API key migration failed: ${e?.message || e}`);
+    });
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  MAIN SAVE HANDLER
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const saveDeps = {
+        context,
+        gitOps,
+        repoManager,
+        commitFlow,
+        uiManager,
+        batchQueue,
+        repoLock,
+        outputChannel,
+        state
+    };
+
+    const onSave = vscode.workspace.onDidSaveTextDocument(async (doc) => {
+        await handleSave(doc, saveDeps);
+    });
+    context.subscriptions.push(onSave);
+
+    intervalScheduler.start();
+
+    // Retry queued pushes now and whenever the window regains focus
+    pushQueue.start();
+    context.subscriptions.push(
+        vscode.window.onDidChangeWindowState(pushQueue.onWindowFocus)
+    );
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  STARTUP MESSAGE
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const stats = statsManager.getStats();
+    if (stats.streak > 0) {
+        outputChannel.appendLine(
+            `git-autopush: Welcome! 🔥 ${stats.streak} day streak, ${stats.totalCommits} total commits`
+        );
+    }
+
+    outputChannel.appendLine('git-autopush: Extension activated ✅');
+}
+
+/**
+ * Handle document save event
+ * @param {vscode.TextDocument} doc - Saved document
+ * @param {object} deps - Dependencies
+ */
+async function handleSave(doc, deps) {
+    const {
+        context,
+        gitOps,
+        repoManager,
+        batchQueue,
+        outputChannel,
+        state
+    } = deps;
+
+    const out = outputChannel;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  VALIDATE TRIGGER TOKEN
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const token = context.workspaceState.get('gitAutopush.triggeredBySaveKeyFor', null);
+    if (!token || !token.path) {
+        out.appendLine(`git-autopush: no trigger token — ignoring save: ${doc.uri.fsPath}`);
+        return;
+    }
+
+    const now = Date.now();
+    if (!token.expires || token.expires < now) {
+        out.appendLine(`git-autopush: token expired for ${token.path}`);
+        context.workspaceState.update('gitAutopush.triggeredBySaveKeyFor', null);
+        return;
+    }
+
+    if (token.path !== doc.uri.fsPath) {
+        out.appendLine(`git-autopush: token path mismatch — ignoring ${doc.uri.fsPath}`);
+        return;
+    }
+
+    // Validate nonce
+    const expectedNonce = token.nonce || null;
+    const currentNonce = state.triggerNonces.get(doc.uri.fsPath) || null;
+    if (!expectedNonce || !currentNonce || expectedNonce !== currentNonce) {
+        out.appendLine(`git-autopush: nonce mismatch`);
+        return;
+    }
+
+    out.appendLine(`git-autopush: valid token for ${doc.uri.fsPath}`);
+
+    // Clear token
+    context.workspaceState.update('gitAutopush.triggeredBySaveKeyFor', null);
+    state.triggerNonces.delete(doc.uri.fsPath);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  LOAD CONFIGURATION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Settings are read for the saved file's workspace folder
+    const config = vscode.workspace.getConfiguration('gitAutopush', doc.uri);
+    const globs = config.get('watchGlobs', ['**/*.{py,js,ts,md,json,txt}']);
+    const autoCommit = config.get('autoCommit', false);
+    const sensitivePatterns = config.get('sensitiveFileGlobs', ['.env', '*.key', 'credentials.json', '*.pem']);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  VALIDATION CHECKS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Check autoCommit enabled
+    if (!autoCommit) {
+        out.appendLine('git-autopush: autoCommit disabled — skipping');
+        return;
+    }
+
+    // Check git repo — resolved from the file itself so nested repos and
+    // every folder of a multi-root workspace commit in the right place
+    const repoRoot = repoManager.getRepoForUri(doc.uri);
+    if (!repoRoot) {
+        out.appendLine('git-autopush: not a git repository');
+        vscode.window.showWarningMessage('Git AutoPush: Not a git repository');
+        return;
+    }
+
+    const rel = path.relative(repoRoot, doc.uri.fsPath).split(path.sep).join('/');
+
+    // Check glob match (paths relative to the repository root)
+    let matched = false;
+    for (const g of globs) {
+        if (minimatch(rel, g)) {
+            matched = true;
+            break;
+        }
+    }
+    if (!matched) {
+        out.appendLine(`git-autopush: ${rel} does not match watchGlobs — skipping`);
+        return;
+    }
+
+    // Check if file is git-ignored
+    if (gitOps.isFileIgnored(doc.uri.fsPath, repoRoot)) {
+        out.appendLine(`git-autopush: file ignored by git — skipping`);
+        return;
+    }
+
+    // Check sensitive files
+    for (const p of sensitivePatterns) {
+        if (minimatch(rel, p)) {
+            out.appendLine(`git-autopush: sensitive file — skipping`);
+            vscode.window.showWarningMessage(`Git AutoPush: Skipping sensitive file`);
+            return;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  CHECKPOINT, BATCH OR COMMIT NOW
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Checkpoint mode keeps saves off the branch entirely
+    if (config.get('checkpoint.enabled', false)) {
+        recordCheckpoint({ repoRoot, config, rel }, deps);
+        return;
+    }
+
+    if (config.get('batch.enabled', false)) {
+        const quietSeconds = Math.max(5, config.get('batch.quietSeconds', 30));
+        batchQueue.add(repoRoot, { rel, document: doc, quietMs: quietSeconds * 1000 });
+        return;
+    }
+
+    await commitChanges({ repoRoot, config, document: doc, files: [rel] }, deps);
+}
+
+/**
+ * Snapshot the working tree to refs/autopush/<branch> instead of committing.
+ * Sensitive files are left out of the snapshot.
+ * @param {object} options - Options
+ * @param {string} options.repoRoot - Repository root
+ * @param {object} options.config - gitAutopush configuration
+ * @param {string} options.rel - Saved file, relative to the repository root
+ * @param {object} deps - Dependencies
+ */
+function recordCheckpoint({ repoRoot, config, rel }, deps) {
+    const { gitOps, outputChannel } = deps;
+    const out = outputChannel;
+
+    if (gitOps.isDetached(repoRoot)) {
+        out.appendLine('git-autopush: HEAD is detached — no checkpoint');
+        return;
+    }
+    const branch = gitOps.getCurrentBranch(repoRoot);
+
+    const sensitivePatterns = config.get('sensitiveFileGlobs', ['.env', '*.key', 'credentials.json', '*.pem']);
+    const exclude = gitOps.getChangedFiles(repoRoot).filter(f => sensitivePatterns.some(p => minimatch(f, p)));
+
+    if (config.get('dryRun', true)) {
+        out.appendLine(`git-autopush: dry run — would checkpoint ${rel} to ${gitOps.getCheckpointRef(branch)}`);
+        return;
+    }
+
+    const result = gitOps.createCheckpoint(repoRoot, { branch, message: `checkpoint: ${rel}`, exclude });
+    if (result.error) {
+        vscode.window.showWarningMessage(`Git AutoPush: Checkpoint failed — ${result.error.split('\n')[0]}`, 'View Log')
+            .then(sel => { if (sel === 'View Log') out.show(); });
+    } else if (result.created) {
+        out.appendLine(`git-autopush: checkpoint ${result.hash.slice(0, 7)} → ${result.ref}`);
+        vscode.window.setStatusBarMessage(`$(history) Checkpoint saved: ${rel}`, 3000);
+    } else {
+        out.appendLine('git-autopush: no changes since the last checkpoint');
+    }
+}
+
+/**
+ * Commit a finished batch of saves with one message
+ * @param {string} repoRoot - Repository root
+ * @param {object} batch - { files, documents } collected by the batch queue
+ * @param {object} deps - Dependencies
+ */
+async function commitBatch(repoRoot, { files, documents }, deps) {
+    // Settings follow the most recently saved file
+    const document = documents[documents.length - 1];
+    const config = vscode.workspace.getConfiguration('gitAutopush', document.uri);
+
+    // Auto-commit may have been paused while the batch was waiting
+    if (!config.get('autoCommit', false)) {
+        deps.outputChannel.appendLine('git-autopush: autoCommit disabled — dropping batch');
+        return;
+    }
+
+    await commitChanges({ repoRoot, config, document, files }, deps);
+}
+
+/**
+ * Commit whatever changed since the last interval, limited to watchGlobs
+ * @param {string} repoRoot - Repository root
+ * @param {vscode.WorkspaceConfiguration} config - gitAutopush configuration for the repository
+ * @param {object} deps - Dependencies
+ */
+async function commitInterval(repoRoot, config, deps) {
+    const { gitOps, batchQueue, repoLock, outputChannel } = deps;
+    const out = outputChannel;
+
+    // A pending batch will pick these changes up itself
+    if (batchQueue.getStatus(repoRoot)) {
+        out.appendLine('git-autopush: interval skipped — batch pending');
+        return;
+    }
+
+    // A save or batch commit is in progress; the next interval picks up what it leaves
+    if (repoLock.isBusy(repoRoot)) {
+        out.appendLine('git-autopush: interval skipped — another commit is in progress');
+        return;
+    }
+
+    const globs = config.get('watchGlobs', ['**/*.{py,js,ts,md,json,txt}']);
+    const sensitivePatterns = config.get('sensitiveFileGlobs', ['.env', '*.key', 'credentials.json', '*.pem']);
+
+    const changed = gitOps.getChangedFiles(repoRoot).filter(rel => globs.some(g => minimatch(rel, g)));
+
+    // Same rule as on save: sensitive files are never auto-committed
+    const sensitive = changed.filter(rel => sensitivePatterns.some(p => minimatch(rel, p)));
+    if (sensitive.length > 0) {
+        out.appendLine(`git-autopush: interval — leaving sensitive files out: ${sensitive.join(', ')}`);
+    }
+
+    const files = changed.filter(rel => !sensitive.includes(rel));
+    if (files.length === 0) {
+        out.appendLine('git-autopush: interval — no changes matching watchGlobs');
+        return;
+    }
+
+    // Nobody is watching a timer: no API key prompt, no review dialog
+    await commitChanges({ repoRoot, config, document: null, files, unattended: true }, deps);
+}
+
+/**
+ * Run the repository-wide checks, generate a message and commit
+ * @param {object} options - Options
+ * @param {string} options.repoRoot - Repository root
+ * @param {vscode.WorkspaceConfiguration} options.config - gitAutopush configuration
+ * @param {vscode.TextDocument|null} options.document - Last saved document (null for interval commits)
+ * @param {string[]} options.files - Saved files, relative to the repository root
+ * @param {boolean} options.unattended - Started by a timer: never prompt for a key or review the message
+ * @param {object} deps - Dependencies
+ */
+async function commitChanges(options, deps) {
+    // One commit per repository at a time (index.lock, amend decisions)
+    return deps.repoLock.run(options.repoRoot, () => commitChangesLocked(options, deps));
+}
+
+/**
+ * commitChanges, once the repository's commit lock is held
+ */
+async function commitChangesLocked({ repoRoot, config, document, files, unattended = false }, deps) {
+    const {
+        context,
+        gitOps,
+        commitFlow,
+        uiManager,
+        outputChannel
+    } = deps;
+
+    const out = outputChannel;
+
+    const dryRun = config.get('dryRun', true);
+    const autoPush = config.get('autoPush', false);
+    const protectedBranches = config.get('protectedBranches', ['main', 'master', 'production']);
+    const sensitivePatterns = config.get('sensitiveFileGlobs', ['.env', '*.key', 'credentials.json', '*.pem']);
+    const stagingMode = config.get('stagingMode', 'file');
+    const rel = files[files.length - 1];
+
+    // In 'tracked'/'all' mode other files ride along — check every one of them
+    const staging = { mode: stagingMode, files };
+    if (stagingMode !== 'file') {
+        const sensitiveFiles = gitOps.getFilesToCommit(repoRoot, staging)
+            .filter(f => sensitivePatterns.some(p => minimatch(f, p)));
+        if (sensitiveFiles.length > 0) {
+            out.appendLine(`git-autopush: sensitive files would be committed — skipping: ${sensitiveFiles.join(', ')}`);
+            vscode.window.showWarningMessage(
+                `Git AutoPush: Commit skipped — sensitive file(s) would be included: ${sensitiveFiles.join(', ')}`
+            );
+            return;
+        }
+    }
+
+    // Content scan of everything the commit would add
+    if (!commitFlow.checkSecrets({ config, repoRoot, staging })) {
+        return;
+    }
+
+    // Get branch and check protection
+    const branch = gitOps.getCurrentBranch(repoRoot);
+    let canPush = autoPush;
+    if (autoPush && protectedBranches.includes(branch)) {
+        out.appendLine(`git-autopush: protected branch '${branch}' — no push`);
+        vscode.window.showWarningMessage(
+            `Git AutoPush: Push skipped — '${branch}' is a protected branch. Remove it from gitAutopush.protectedBranches to enable push.`,
+            'Open Settings'
+        ).then(sel => {
+            if (sel === 'Open Settings') {
+                vscode.commands.executeCommand('workbench.action.openSettings', 'gitAutopush.protectedBranches');
+            }
+        });
+        canPush = false;
+    }
+
+    // Rapid saves fold into the extension's previous unpushed commit (gitAutopush.amend.enabled)
+    const amend = commitFlow.shouldAmend({ config, repoRoot, staging });
+    let messageFiles = files;
+    if (amend) {
+        const previous = gitOps.getFilesToCommit(repoRoot, staging, 'HEAD~1').filter(f => !files.includes(f));
+        messageFiles = [...previous, ...files];
+        out.appendLine(`git-autopush: amending previous commit (${messageFiles.length} file(s) in total)`);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  GENERATE COMMIT MESSAGE (AI or Smart Default)
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const message = await commitFlow.generateMessage({
+        config,
+        repoRoot,
+        document,
+        rel,
+        files: messageFiles,
+        staging,
+        promptForKey: !unattended,
+        review: !unattended,
+        amend
+    });
+
+    // Cancelled from the review step
+    if (!message) {
+        return;
+    }
+
+    // gitAutopush.ticket.required
+    if (!commitFlow.checkTicket({ config, repoRoot, message })) {
+        return;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    //  EXECUTE GIT COMMANDS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    await commitFlow.commit({
+        repoRoot,
+        message,
+        branch,
+        push: canPush,
+        staging,
+        remote: config.get('remote', ''),
+        dryRun,
+        amend,
+        trailers: commitFlow.getTrailers({ config, repoRoot })
+    });
+
+    uiManager.updateStatusBar();
+    context.workspaceState.update('gitAutopush.lastAction', new Date().toISOString());
+}
+
+exports.activate = activate;
+
+function deactivate() { }
+exports.deactivate = deactivate;
+
+//# sourceMappingURL=extension.js.map
@@ -0,0 +1,267 @@
+"use strict";
+/**
+ * 🔌 AI PROVIDERS MODULE
+ * Request/response adapters for each supported AI backend.
+ * Every provider takes the same chat-style input and returns plain text,
+ * so callers never deal with vendor-specific payloads.
+ */
+
+/**
+ * Provider definitions
+ * - baseUrl: default endpoint root (overridable via gitAutopush.ai.baseUrl)
+ * - requiresKey: whether requests must carry an API key
+ * - keyOptionalElsewhere: the key is only required at the default baseUrl (self-hosted
+ *   OpenAI-compatible servers such as vLLM, LM Studio or llama.cpp usually take none)
+ * - keyPrefix: expected key prefix, used for input validation only
+ * - envKeys: environment variables checked when no key is configured
+ * - maxContextTokens: cap on the context window assumed for any model of this provider
+ */
+const PROVIDERS = {
+    openrouter: {
+        id: 'openrouter',
+        label: 'OpenRouter',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        defaultModel: 'deepseek/deepseek-chat',
+        requiresKey: true,
+        keyPrefix: 'sk-or-',
+        keyUrl: 'https://openrouter.ai/keys',
+        keyPlaceholder: 'sk-or-v1-...',
+        envKeys: ['OPENROUTER_API_KEY', 'DEEPSEEK_API_KEY'],
+        timeout: 15000,
+        buildRequest: buildOpenAIRequest('/chat/completions', {
+            'HTTP-Referer': 'https://github.com/local/git-autopush-on-save',
+            'X-Title': 'Git AutoPush Extension'
+        }),
+        parseResponse: parseOpenAIResponse
+    },
+    openai: {
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        baseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        requiresKey: true,
+        keyOptionalElsewhere: true,
+        keyPrefix: null,
+        keyUrl: 'https://platform.openai.com/api-keys',
+        keyPlaceholder: 'sk-...',
+        envKeys: ['OPENAI_API_KEY'],
+        timeout: 20000,
+        buildRequest: buildOpenAIRequest('/chat/completions', {}),
+        parseResponse: parseOpenAIResponse
+    },
+    anthropic: {
+        id: 'anthropic',
+        label: 'Anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        defaultModel: 'claude-3-5-haiku-latest',
+        requiresKey: true,
+        keyPrefix: 'sk-ant-',
+        keyUrl: 'https://console.anthropic.com/settings/keys',
+        keyPlaceholder: 'sk-ant-...',
+        envKeys: ['ANTHROPIC_API_KEY'],
+        timeout: 20000,
+        buildRequest: buildAnthropicRequest,
+        parseResponse: parseAnthropicResponse
+    },
+    ollama: {
+        id: 'ollama',
+        label: 'Ollama (local)',
+        baseUrl: 'http://localhost:11434',
+        defaultModel: 'llama3.1',
+        requiresKey: false,
+        keyPrefix: null,
+        keyUrl: null,
+        keyPlaceholder: '',
+        envKeys: [],
+        // Ollama runs models with a 4096-token window unless num_ctx is raised on the server
+        maxContextTokens: 4096,
+        timeout: 60000,
+        buildRequest: buildOllamaRequest,
+        parseResponse: parseOllamaResponse
+    }
+};
+
+// Context windows (tokens) by model name, first match wins
+const MODEL_CONTEXT_TOKENS = [
+    { pattern: /gemini/i, tokens: 1000000 },
+    { pattern: /claude/i, tokens: 200000 },
+    { pattern: /gpt-4\.1|gpt-4o|gpt-4-turbo|gpt-5|\bo[134](-|$)/i, tokens: 128000 },
+    { pattern: /gpt-3\.5/i, tokens: 16385 },
+    { pattern: /gpt-4/i, tokens: 8192 },
+    { pattern: /deepseek/i, tokens: 64000 },
+    { pattern: /llama-?3\.[123]|llama-?4/i, tokens: 128000 },
+    { pattern: /qwen|mistral|mixtral|codestral/i, tokens: 32768 },
+    { pattern: /llama|gemma|phi/i, tokens: 8192 }
+];
+
+// Assumed for models not in the table
+const DEFAULT_CONTEXT_TOKENS = 8192;
+
+// Older settings used the model family name as the provider id
+const PROVIDER_ALIASES = {
+    deepseek: 'openrouter'
+};
+
+/**
+ * Resolve a provider definition by id (falls back to OpenRouter)
+ * @param {string} id - Provider id from settings
+ * @returns {object} Provider definition
+ */
+function getProvider(id) {
+    const key = PROVIDER_ALIASES[id] || id;
+    return PROVIDERS[key] || PROVIDERS.openrouter;
+}
+
+/**
+ * Read the effective provider settings from a configuration object
+ * @param {object} cfg - vscode.WorkspaceConfiguration for 'gitAutopush'
+ * @returns {{provider: object, model: string, baseUrl: string, requiresKey: boolean}} requiresKey
+ *   is the provider's, except for a custom baseUrl of a provider with keyOptionalElsewhere
+ */
+function resolveProviderSettings(cfg) {
+    const provider = getProvider(cfg.get('ai.provider', 'openrouter'));
+
+    // ai.deepseekModel predates multi-provider support and only applies to OpenRouter
+    let model = cfg.get('ai.model', '');
+    if (!model && provider.id === 'openrouter') {
+        model = cfg.get('ai.deepseekModel', '');
+    }
+
+    const baseUrl = (cfg.get('ai.baseUrl', '') || provider.baseUrl).replace(/\/+$/, '');
+    return {
+        provider,
+        model: model || provider.defaultModel,
+        baseUrl,
+        requiresKey: provider.requiresKey && !(provider.keyOptionalElsewhere && baseUrl !== provider.baseUrl)
+    };
+}
+
+/**
+ * Context window of a model, for sizing how much of a diff to send
+ * @param {object} provider - Provider definition
+ * @param {string} model - Model name
+ * @param {number} override - Configured size (gitAutopush.ai.contextTokens); 0 to look it up
+ * @returns {number} Tokens
+ */
+function getContextTokens(provider, model, override = 0) {
+    if (override > 0) {
+        return override;
+    }
+    const known = MODEL_CONTEXT_TOKENS.find(({ pattern }) => pattern.test(model || ''));
+    const tokens = known ? known.tokens : DEFAULT_CONTEXT_TOKENS;
+    return provider?.maxContextTokens ? Math.min(tokens, provider.maxContextTokens) : tokens;
+}
+
+/**
+ * Build an OpenAI-style chat completions request (OpenRouter, OpenAI, vLLM, LM Studio...)
+ * @param {string} path - Path appended to the base URL
+ * @param {object} extraHeaders - Provider-specific headers
+ */
+function buildOpenAIRequest(path, extraHeaders) {
+    return ({ baseUrl, apiKey, model, messages, temperature, maxTokens }) => {
+        const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        return {
+            url: baseUrl + path,
+            headers,
+            body: {
+                model,
+                messages,
+                temperature,
+                max_tokens: maxTokens
+            }
+        };
+    };
+}
+
+/**
+ * Extract text from an OpenAI-style response
+ */
+function parseOpenAIResponse(json) {
+    if (json.error) {
+        throw new Error(json.error.message || 'API error');
+    }
+    return json.choices?.[0]?.message?.content || '';
+}
+
+/**
+ * Build an Anthropic messages API request.
+ * System prompts are a top-level field rather than a message role.
+ */
+function buildAnthropicRequest({ baseUrl, apiKey, model, messages, temperature, maxTokens }) {
+    const system = messages
+        .filter(m => m.role === 'system')
+        .map(m => m.content)
+        .join('\n\n');
+
+    const body = {
+        model,
+        messages: messages.filter(m => m.role !== 'system'),
+        temperature,
+        max_tokens: maxTokens
+    };
+    if (system) {
+        body.system = system;
+    }
+
+    return {
+        url: baseUrl + '/messages',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01'
+        },
+        body
+    };
+}
+
+/**
+ * Extract text from an Anthropic response (concatenates all text blocks)
+ */
+function parseAnthropicResponse(json) {
+    if (json.error) {
+        throw new Error(json.error.message || 'API error');
+    }
+    return (json.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+/**
+ * Build an Ollama chat request (non-streaming)
+ */
+function buildOllamaRequest({ baseUrl, model, messages, temperature, maxTokens }) {
+    return {
+        url: baseUrl + '/api/chat',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+            model,
+            messages,
+            stream: false,
+            options: {
+                temperature,
+                num_predict: maxTokens
+            }
+        }
+    };
+}
+
+/**
+ * Extract text from an Ollama response
+ */
+function parseOllamaResponse(json) {
+    if (json.error) {
+        throw new Error(typeof json.error === 'string' ? json.error : (json.error.message || 'API error'));
+    }
+    return json.message?.content || '';
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    resolveProviderSettings,
+    getContextTokens
+};
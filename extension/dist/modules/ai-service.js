@@ -0,0 +1,572 @@
+"use strict";
+/**
+ * 🤖 AI SERVICE MODULE
+ * Handles AI-powered commit message generation via pluggable providers
+ * (OpenRouter, OpenAI-compatible, Anthropic, Ollama)
+ * Enhanced with intelligent context-aware prompts
+ */
+
+const http = require('http');
+const https = require('https');
+const { analyzeDiff, generateContextHints, formatTypeCandidates, Complexity } = require('./change-analyzer');
+const { getProvider, getContextTokens } = require('./ai-providers');
+const { splitMessage, formatMessage } = require('./commit-message');
+const { lintMessage, CONVENTIONAL_TYPES } = require('./message-linter');
+const { formatSymbol } = require('./symbol-extractor');
+const { getDiffBudget, budgetDiff } = require('./diff-budget');
+
+// Prompt descriptions for the standard conventional commit types
+const TYPE_DESCRIPTIONS = {
+    feat: 'new feature for the user',
+    fix: 'bug fix for the user',
+    refactor: 'code change that neither fixes a bug nor adds a feature',
+    docs: 'documentation only changes',
+    style: 'formatting, whitespace (no logic change)',
+    perf: 'performance improvement',
+    test: 'adding or updating tests',
+    build: 'build system or external dependencies',
+    ci: 'CI configuration changes',
+    chore: 'routine tasks, maintenance',
+    revert: 'reverts a previous commit'
+};
+
+const TYPE_EMOJI = {
+    feat: '✨', fix: '🐛', refactor: '♻️', docs: '📝', style: '🎨', perf: '⚡',
+    test: '🧪', build: '📦', ci: '👷', chore: '🔧', revert: '⏪'
+};
+
+// Symbols listed per CHANGE CONTEXT line before the rest are counted
+const MAX_PROMPT_SYMBOLS = 8;
+
+// Files listed in the per-file breakdown before the rest are counted
+const MAX_PROMPT_FILES = 20;
+
+// Shortest subject limit asked of the AI, however long the ticket key is
+const MIN_SUBJECT_LENGTH = 30;
+
+/**
+ * Creates an AI service instance
+ * @param {object} outputChannel - VS Code output channel for logging
+ */
+function createAIService(outputChannel) {
+    const out = outputChannel;
+
+    /**
+     * Generate a commit message using AI with intelligent context awareness
+     * @param {object} options - Generation options
+     * @param {object} options.provider - Provider definition from ai-providers
+     * @param {string} options.baseUrl - Provider endpoint root
+     * @param {string} options.apiKey - Provider API key (may be empty for local providers)
+     * @param {string} options.model - Model to use (e.g., 'deepseek/deepseek-chat')
+     * @param {string} options.diffText - Git diff or file content
+     * @param {string} options.fileName - Name of the file being committed
+     * @param {boolean} options.useEmoji - Whether to include emoji
+     * @param {string} options.commitStyle - 'concise', 'detailed', or 'auto'
+     * @param {boolean} options.conventionalCommits - Use conventional commit format
+     * @param {boolean} options.includeScope - Include scope in commit messages
+     * @param {string[]} options.subjects - Subjects of the commits being squashed into this one
+     * @param {object} options.conventions - Repository conventions from commit-conventions (types, scopes,
+     *   maxSubjectLength, template, sections); empty for the built-in defaults
+     * @param {number} options.subjectRoom - Characters to leave free in the subject (for a ticket key added afterwards)
+     * @param {string[]} options.styleExamples - Recent commit messages from the repository, to imitate its style
+     * @param {Function} options.readFile - (path) => current file contents, so changes can be placed in their function
+     * @param {number} options.contextTokens - Model context window override (0 to look it up from the model name)
+     * @returns {Promise<string>} Generated commit message
+     */
+    async function generateCommitMessage({ 
+        provider,
+        baseUrl,
+        apiKey, 
+        model, 
+        diffText, 
+        fileName, 
+        useEmoji = true,
+        commitStyle = 'auto',
+        conventionalCommits = true,
+        includeScope = true,
+        subjects = [],
+        conventions = {},
+        subjectRoom = 0,
+        styleExamples = [],
+        readFile,
+        contextTokens = 0
+    }) {
+        // Prompt, lint and parsing all work to the length the subject may have before the ticket is added
+        if (subjectRoom > 0) {
+            conventions = { ...conventions, maxSubjectLength: Math.max(MIN_SUBJECT_LENGTH, (conventions.maxSubjectLength || 72) - subjectRoom) };
+        }
+
+        // Analyze the diff for context
+        const analysis = analyzeDiff(diffText, fileName, { readFile });
+        const contextHints = generateContextHints(analysis);
+        
+        out.appendLine(`git-autopush: Analysis - ${analysis.complexity} complexity, ${analysis.changeType} type (${Math.round(analysis.typeConfidence * 100)}%), scope: ${analysis.scope || 'none'}, ${analysis.filesChanged} file(s)`);
+
+        // Determine effective style based on analysis if 'auto'
+        const effectiveStyle = commitStyle === 'auto' 
+            ? analysis.suggestedLength 
+            : commitStyle;
+
+        // Build the system prompt dynamically
+        const systemPrompt = buildSystemPrompt({
+            useEmoji,
+            effectiveStyle,
+            conventionalCommits,
+            includeScope,
+            analysis,
+            contextHints,
+            conventions,
+            styleExamples
+        });
+
+        // Fit the diff to the model's context; the analysis above saw all of it
+        const budget = getDiffBudget(getContextTokens(getProvider(provider?.id), model, contextTokens));
+        const diff = budgetDiff(diffText, budget);
+        if (diff.omitted.length > 0 || diff.partial.length > 0) {
+            out.appendLine(`git-autopush: diff over the ${budget}-token budget — ${diff.omitted.length} file(s) summarized, ${diff.partial.length} shown in part`);
+        }
+
+        // Build user prompt with analysis context
+        const userPrompt = buildUserPrompt(diff, fileName, analysis, contextHints, subjects);
+
+        out.appendLine(`git-autopush: AI request to ${model} via ${getProvider(provider?.id).label} (style: ${effectiveStyle})...`);
+
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ];
+        const request = (conversation) => makeAPIRequest({
+            provider,
+            baseUrl,
+            apiKey,
+            model,
+            messages: conversation,
+            temperature: 0.4,  // Slightly lower for more consistent output
+            maxTokens: effectiveStyle === 'detailed' ? 400 : 200
+        });
+        const lintOptions = {
+            conventionalCommits,
+            useEmoji,
+            types: conventions.types || CONVENTIONAL_TYPES,
+            scopes: conventions.scopes || null,
+            maxSubjectLength: conventions.maxSubjectLength || undefined,
+            sections: conventions.sections || [],
+            subjectOnly: effectiveStyle === 'short'
+        };
+
+        let content = await request(messages);
+        let problems = lintMessage(cleanResponse(content), lintOptions);
+
+        // One corrective retry with the problems spelled out; after that the caller's fallback wins
+        if (problems.length > 0) {
+            out.appendLine(`git-autopush: AI message failed lint (${problems.join('; ')}) — asking for a corrected one`);
+            content = await request([
+                ...messages,
+                { role: 'assistant', content },
+                { role: 'user', content: buildCorrectionPrompt(problems) }
+            ]);
+            problems = lintMessage(cleanResponse(content), lintOptions);
+            if (problems.length > 0) {
+                out.appendLine(`git-autopush: AI message still fails lint (${problems.join('; ')}) — using fallback`);
+                return '';
+            }
+        }
+
+        // A template with sections needs the whole body, not the medium style's first few lines
+        const parseStyle = effectiveStyle === 'medium' && lintOptions.sections.length > 0 ? 'detailed' : effectiveStyle;
+        const message = parseResponse(content, parseStyle, conventions.maxSubjectLength || 72);
+        
+        out.appendLine(`git-autopush: AI generated: "${message.split('\n')[0]}..."`);
+        return message;
+    }
+
+    /**
+     * Build intelligent system prompt based on context
+     */
+    function buildSystemPrompt({ useEmoji, effectiveStyle, conventionalCommits, includeScope, analysis, conventions = {}, styleExamples = [] }) {
+        const types = conventions.types || CONVENTIONAL_TYPES;
+        const scopes = conventions.scopes || null;
+        const subjectLimit = Math.min(50, conventions.maxSubjectLength || 50);
+
+        const emojiInstruction = useEmoji 
+            ? 'Start with a relevant emoji that matches the change type.'
+            : 'Do NOT include any emojis. Start directly with the type prefix.';
+
+        const emojiGuide = !useEmoji ? ''
+            : conventions.types
+                ? `\nEMOJI GUIDE:\n${types.filter(t => TYPE_EMOJI[t]).map(t => `${TYPE_EMOJI[t]} ${t}`).join('  ')}`
+                : `\nEMOJI GUIDE:\n✨ feat  🐛 fix  ♻️ refactor  📝 docs  🎨 style  ⚡ perf  🧪 test  📦 build  👷 ci  🔧 chore  🔒 security`;
+
+        // Only suggest the detected scope when the repository allows it
+        const scopeHint = includeScope && analysis.scope && (!scopes || scopes.includes(analysis.scope))
+            ? `- Include scope: ${analysis.typeConfident ? analysis.changeType : 'type'}(${analysis.scope}): message`
+            : '';
+
+        // A type the analyzer is unsure of is left to the model, with the candidates as a hint
+        const typeLine = analysis.typeConfident
+            ? `- Detected type: ${analysis.changeType} (${Math.round(analysis.typeConfidence * 100)}% confidence)`
+            : `- Type: unclear (${formatTypeCandidates(analysis.changeTypes)}); choose it from the diff`;
+
+        // Build format instructions based on style
+        let formatInstructions = '';
+        
+        if (effectiveStyle === 'short') {
+            formatInstructions = `
+FORMAT (SHORT - for small changes):
+- Single line only, max ${subjectLimit} characters
+- ${conventionalCommits ? 'Use conventional commit prefix (feat:, fix:, etc.)' : 'Start with action verb'}
+${scopeHint}
+- Be extremely concise
+- Example: "${useEmoji ? '🐛 ' : ''}fix: correct typo in button label"`;
+        } else if (effectiveStyle === 'medium') {
+            formatInstructions = `
+FORMAT (MEDIUM - for moderate changes):
+- Line 1: Subject line (max ${subjectLimit} chars) ${conventionalCommits ? 'with conventional prefix' : ''}
+${scopeHint}
+- Line 2: Empty line
+- Lines 3-4: Brief explanation (1-2 bullet points if helpful)
+- Example:
+"${useEmoji ? '✨ ' : ''}feat(auth): add password reset flow
+
+- Add email verification step
+- Create reset token logic"`;
+        } else {
+            formatInstructions = `
+FORMAT (DETAILED - for significant changes):
+- Line 1: Subject line (max ${subjectLimit} chars) ${conventionalCommits ? 'with conventional prefix' : ''}
+${scopeHint}
+- Line 2: Empty line
+- Lines 3+: Detailed body with:
+  - What changed and why
+  - Key implementation details (2-4 bullet points)
+  ${analysis.isBreakingChange ? '- BREAKING CHANGE: note at the end' : ''}
+- Example:
+"${useEmoji ? '♻️ ' : ''}refactor(api): restructure endpoint handlers
+
+- Migrate from callbacks to async/await
+- Split monolithic handlers into services
+- Add comprehensive error handling
+${analysis.isBreakingChange ? '\nBREAKING CHANGE: API endpoints now use v2 prefix' : ''}"`;
+        }
+
+        // Conventional commit types reminder (the repository's own list when commitlint defines one)
+        const conventionalTypes = conventionalCommits ? `
+${conventions.types ? 'ALLOWED COMMIT TYPES (from this repository\'s commitlint config, use no others)' : 'CONVENTIONAL COMMIT TYPES'}:
+${types.map(t => `- ${t}${TYPE_DESCRIPTIONS[t] ? `: ${TYPE_DESCRIPTIONS[t]}` : ''}`).join('\n')}` : '';
+
+        const allowedScopes = conventionalCommits && scopes
+            ? `\nALLOWED SCOPES: ${scopes.join(', ')} (use one of these or leave the scope out)`
+            : '';
+
+        const template = conventions.template && effectiveStyle !== 'short' ? `
+COMMIT TEMPLATE (this repository's layout; follow its structure, fill in every section, and do not copy lines starting with #):
+${conventions.template}` : '';
+
+        // Copy the house style (casing, scope names, ticket prefixes, tense), not the content
+        const examples = styleExamples.length > 0 ? `
+STYLE EXAMPLES (recent commits in this repository; match their casing, scope names, ticket prefixes and tense, but describe only the current change; the format rules above still apply):
+${styleExamples.map(e => `---\n${e}`).join('\n')}
+---` : '';
+
+        // Name the code that changed ("handle empty tokens in tokenize()")
+        const symbolLines = ['Modified', 'Added', 'Removed']
+            .map(label => listSymbols(label, analysis.symbols?.[label.toLowerCase()] || []))
+            .filter(Boolean)
+            .join('\n');
+
+        return `You are an expert git commit message writer. Write clear, professional commit messages.
+
+CHANGE CONTEXT:
+- Complexity: ${analysis.complexity} (${analysis.totalChanges} lines changed)
+${typeLine}
+${analysis.scope ? `- Scope: ${analysis.scope}` : ''}
+${analysis.isBreakingChange ? '- ⚠️ BREAKING CHANGE DETECTED' : ''}
+${analysis.hasNewFunction ? '- New functions/classes added' : ''}
+${analysis.hasDependencyChanges ? '- Dependencies modified' : ''}
+${symbolLines}
+
+${formatInstructions}
+${conventionalTypes}${allowedScopes}
+${emojiGuide}
+${template}
+${examples}
+
+${emojiInstruction}
+
+CRITICAL RULES:
+- Be specific about what changed${symbolLines ? '\n- Name the changed function, method or class when the change is confined to one or two' : ''}
+- Use imperative mood (Add, Fix, Update - not Added, Fixed, Updated)
+- No period at end of subject line
+- Match message detail to change importance
+- Reply with ONLY the commit message, nothing else`;
+    }
+
+    /**
+     * One CHANGE CONTEXT line of symbols, e.g. "- Modified: Parser.tokenize(), parse()"
+     * @param {string} label - 'Added', 'Removed' or 'Modified'
+     * @param {Array} symbols - Symbols from the change analyzer
+     * @returns {string} Empty when there are none
+     */
+    function listSymbols(label, symbols) {
+        if (symbols.length === 0) {
+            return '';
+        }
+        const names = symbols.slice(0, MAX_PROMPT_SYMBOLS).map(formatSymbol);
+        const more = symbols.length > MAX_PROMPT_SYMBOLS ? ` (+${symbols.length - MAX_PROMPT_SYMBOLS} more)` : '';
+        return `- ${label}: ${names.join(', ')}${more}`;
+    }
+
+    /**
+     * Per-file lines for the user prompt, e.g. "- src/a.js (modified, +3 -1): fix, scope parser"
+     * @param {Array} files - Per-file breakdown from the change analyzer
+     * @returns {string}
+     */
+    function formatFileBreakdown(files) {
+        const lines = files.slice(0, MAX_PROMPT_FILES).map(f => {
+            const name = f.oldFile && f.oldFile !== f.file && f.status !== 'added' ? `${f.oldFile} → ${f.file}` : f.file;
+            return `- ${name} (${f.status}, +${f.linesAdded} -${f.linesRemoved}): ${f.changeType}${f.scope ? `, scope ${f.scope}` : ''}`;
+        });
+        if (files.length > MAX_PROMPT_FILES) {
+            lines.push(`- ... and ${files.length - MAX_PROMPT_FILES} more file(s)`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Build user prompt with diff and context
+     * @param {{text: string, omitted: Array, partial: Array, notes: string[]}} diff - Diff fitted to the budget (from budgetDiff)
+     */
+    function buildUserPrompt(diff, fileName, analysis, contextHints, subjects = []) {
+        let prompt = `Write a commit message for these changes:\n\n`;
+        
+        prompt += `File: ${fileName}\n`;
+        prompt += `Stats: +${analysis.linesAdded} added, -${analysis.linesRemoved} removed\n\n`;
+
+        if (analysis.files?.length > 1) {
+            prompt += `Files (${analysis.files.length}):\n${formatFileBreakdown(analysis.files)}\n\n`;
+        }
+
+        if (subjects.length > 0) {
+            prompt += `These ${subjects.length} commits are being squashed into one (oldest first). Describe the overall change, not each step:\n`;
+            prompt += subjects.map(s => `- ${s}`).join('\n') + '\n\n';
+        }
+        
+        if (diff.text && diff.text.length > 0) {
+            prompt += `Diff:\n${diff.text}`;
+
+            // What the budget left out, so the model still knows it changed
+            if (diff.notes.length > 0) {
+                prompt += `\n\nNot shown (the diff was too large for the model), consider these too:\n${diff.notes.join('\n')}`;
+            }
+        } else {
+            prompt += `(No diff available - file content changed)`;
+        }
+
+        return prompt;
+    }
+
+    /**
+     * Follow-up prompt listing what was wrong with the previous answer
+     * @param {string[]} problems - Lint problems
+     * @returns {string}
+     */
+    function buildCorrectionPrompt(problems) {
+        return `That commit message breaks these rules:\n${problems.map(p => `- ${p}`).join('\n')}\n\n` +
+            'Rewrite it so every rule is met. Keep the meaning. Reply with ONLY the commit message, nothing else.';
+    }
+
+    /**
+     * Send a chat request to the configured provider
+     * @param {object} request - Request options
+     * @param {object} request.provider - Provider definition from ai-providers
+     * @param {string} request.baseUrl - Endpoint root (defaults to the provider's)
+     * @param {string} request.apiKey - API key (ignored by providers that need none)
+     * @param {string} request.model - Model name
+     * @param {Array} request.messages - Chat messages ({ role, content })
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Maximum tokens to generate
+     * @returns {Promise<string>} Generated text
+     */
+    function makeAPIRequest({ provider, baseUrl, apiKey, model, messages, temperature = 0.4, maxTokens = 200 }) {
+        const def = getProvider(provider?.id);
+        const { url, headers, body } = def.buildRequest({
+            baseUrl: baseUrl || def.baseUrl,
+            apiKey,
+            model: model || def.defaultModel,
+            messages,
+            temperature,
+            maxTokens
+        });
+        const payload = JSON.stringify(body);
+
+        return new Promise((resolve, reject) => {
+            let target;
+            try {
+                target = new URL(url);
+            } catch (e) {
+                reject(new Error(`Invalid AI endpoint URL: ${url}`));
+                return;
+            }
+
+            const client = target.protocol === 'http:' ? http : https;
+            const req = client.request({
+                hostname: target.hostname,
+                port: target.port || (target.protocol === 'http:' ? 80 : 443),
+                path: target.pathname + target.search,
+                method: 'POST',
+                headers: {
+                    ...headers,
+                    'Content-Length': Buffer.byteLength(payload)
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => data += chunk);
+                res.on('end', () => {
+                    let json = null;
+                    try {
+                        json = JSON.parse(data || '{}');
+                    } catch (e) {
+                        // Non-JSON bodies are handled below
+                    }
+
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        const detail = json?.error?.message || (typeof json?.error === 'string' ? json.error : '');
+                        reject(new Error(`HTTP ${res.statusCode}${detail ? `: ${detail}` : ''}`));
+                        return;
+                    }
+                    if (!json) {
+                        reject(new Error(`Invalid JSON response from ${def.label}`));
+                        return;
+                    }
+
+                    try {
+                        resolve(def.parseResponse(json));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+
+            req.on('error', (e) => reject(e));
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error('Request timeout'));
+            });
+            req.setTimeout(def.timeout);
+            req.write(payload);
+            req.end();
+        });
+    }
+
+    /**
+     * Strip the quotes, asterisks and markdown headers models wrap messages in,
+     * and the empty lines around the message
+     * @param {string} content - Text returned by the provider
+     * @returns {string}
+     */
+    function cleanResponse(content) {
+        const lines = (content || '')
+            .trim()
+            .split('\n')
+            .map(line => line
+                .replace(/^["'`]+|["'`]+$/g, '')     // Remove quotes
+                .replace(/^\*+|\*+$/g, '')           // Remove asterisks  
+                .replace(/^#+\s*/, '')               // Remove markdown headers
+                .trim()
+            );
+
+        while (lines.length && !lines[0]) lines.shift();
+        while (lines.length && !lines[lines.length - 1]) lines.pop();
+        return lines.join('\n');
+    }
+
+    /**
+     * Clean up generated text into a commit message
+     * @param {string} content - Text returned by the provider
+     * @param {string} style - Message style ('short', 'medium', 'detailed')
+     * @param {number} maxSubjectLength - Longest subject the repository allows (72 when it sets none)
+     * @returns {string} Cleaned commit message
+     */
+    function parseResponse(content, style = 'medium', maxSubjectLength = 72) {
+        out.appendLine(`git-autopush: API response received (${style} style)`);
+
+        if (!(content || '').trim()) {
+            throw new Error('Empty response from API');
+        }
+
+        const lines = cleanResponse(content).split('\n');
+
+        // For short style, only keep first non-empty line
+        if (style === 'short') {
+            const subject = lines[0];
+            return subject.length > maxSubjectLength ? subject.slice(0, maxSubjectLength - 3) + '...' : subject;
+        }
+
+        const { subject: rawSubject, body, footers } = splitMessage(lines.join('\n'));
+
+        // Subject line (first line) - max 72 chars unless the repository says otherwise
+        let subject = rawSubject;
+        if (subject.length > maxSubjectLength) {
+            subject = subject.slice(0, maxSubjectLength - 3) + '...';
+        }
+
+        // For medium style, limit body to a few lines; footers are always kept
+        if (style === 'medium') {
+            const shortBody = body.split('\n').filter(l => l).slice(0, 4).join('\n');
+            return formatMessage({ subject, body: shortBody, footers });
+        }
+
+        // Detailed style - keep more content, including paragraph breaks
+        const longBody = body.split('\n').slice(0, 12).join('\n');
+        return formatMessage({ subject, body: longBody, footers });
+    }
+
+    /**
+     * Validate API key format
+     * @param {string} key - API key to validate
+     * @param {object} provider - Provider definition the key is for
+     * @returns {string|null} Error message or null if valid
+     */
+    function validateApiKey(key, provider) {
+        const def = getProvider(provider?.id);
+        if (!key || key.trim().length < 20) {
+            return 'API key is too short';
+        }
+        if (def.keyPrefix && !key.trim().startsWith(def.keyPrefix)) {
+            return `${def.label} keys start with ${def.keyPrefix}`;
+        }
+        return null;
+    }
+
+    /**
+     * Test API connection
+     * @param {object} options - Provider settings ({ provider, baseUrl, model }) plus apiKey
+     * @returns {Promise<boolean>} True if successful
+     */
+    async function testConnection({ provider, baseUrl, apiKey, model }) {
+        try {
+            await makeAPIRequest({
+                provider,
+                baseUrl,
+                apiKey,
+                model,
+                messages: [{ role: 'user', content: 'Say "OK"' }],
+                maxTokens: 10
+            });
+            return true;
+        } catch (e) {
+            out.appendLine(`git-autopush: API test failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    return {
+        generateCommitMessage,
+        validateApiKey,
+        testConnection,
+        makeAPIRequest
+    };
+}
+
+module.exports = { createAIService };
+
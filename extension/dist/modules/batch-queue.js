@@ -0,0 +1,145 @@
+"use strict";
+/**
+ * ⏳ BATCH QUEUE MODULE
+ * Collects saves per repository and commits them together once no new
+ * save has arrived for a quiet window
+ */
+
+/**
+ * Creates a batch queue
+ * @param {object} options - Dependencies
+ * @param {object} options.outputChannel - Output channel for logging
+ * @param {Function} options.onFlush - async (repoRoot, { files, documents }) => void
+ * @param {Function} options.onChange - Called when pending files or the countdown change
+ */
+function createBatchQueue({ outputChannel, onFlush, onChange }) {
+    const out = outputChannel;
+
+    // repoRoot → { documents: Map<rel, TextDocument>, deadline, timer, quietMs }
+    const pending = new Map();
+
+    // Repositories whose batch is being committed right now
+    const flushing = new Set();
+
+    // One ticker drives every countdown while anything is pending
+    let ticker = null;
+
+    /**
+     * Add a saved file to its repository's batch and restart the quiet window
+     * @param {string} repoRoot - Repository root
+     * @param {object} options - Options
+     * @param {string} options.rel - Path relative to the repository root
+     * @param {vscode.TextDocument} options.document - Saved document
+     * @param {number} options.quietMs - Quiet window in milliseconds
+     */
+    function add(repoRoot, { rel, document, quietMs }) {
+        let batch = pending.get(repoRoot);
+        if (!batch) {
+            batch = { documents: new Map(), deadline: 0, timer: null, quietMs };
+            pending.set(repoRoot, batch);
+        }
+
+        // Re-insert so the most recently saved file ends up last
+        batch.documents.delete(rel);
+        batch.documents.set(rel, document);
+        batch.quietMs = quietMs;
+        schedule(repoRoot, batch);
+
+        out.appendLine(`git-autopush: batched ${rel} (${batch.documents.size} pending, commit in ${Math.round(quietMs / 1000)}s)`);
+        startTicker();
+        onChange();
+    }
+
+    /**
+     * (Re)start the quiet-window timer for a batch
+     */
+    function schedule(repoRoot, batch) {
+        clearTimeout(batch.timer);
+        batch.deadline = Date.now() + batch.quietMs;
+        batch.timer = setTimeout(() => flush(repoRoot), batch.quietMs);
+    }
+
+    /**
+     * Commit a repository's batch now
+     * @param {string} repoRoot - Repository root
+     */
+    async function flush(repoRoot) {
+        const batch = pending.get(repoRoot);
+        if (!batch) {
+            return;
+        }
+
+        // Never run two commits for the same repository at once
+        if (flushing.has(repoRoot)) {
+            schedule(repoRoot, batch);
+            return;
+        }
+
+        clearTimeout(batch.timer);
+        pending.delete(repoRoot);
+        flushing.add(repoRoot);
+        stopTickerIfIdle();
+        onChange();
+
+        const files = Array.from(batch.documents.keys());
+        out.appendLine(`git-autopush: quiet window over — committing ${files.length} file(s)`);
+
+        try {
+            await onFlush(repoRoot, { files, documents: Array.from(batch.documents.values()) });
+        } catch (e) {
+            out.appendLine(`git-autopush: batch commit failed: ${e?.message || e}`);
+        } finally {
+            flushing.delete(repoRoot);
+            onChange();
+        }
+    }
+
+    /**
+     * Pending batch for a repository
+     * @param {string} repoRoot - Repository root
+     * @returns {{count: number, secondsLeft: number}|null}
+     */
+    function getStatus(repoRoot) {
+        const batch = pending.get(repoRoot);
+        if (!batch) {
+            return null;
+        }
+        return {
+            count: batch.documents.size,
+            secondsLeft: Math.max(0, Math.ceil((batch.deadline - Date.now()) / 1000))
+        };
+    }
+
+    function startTicker() {
+        if (!ticker) {
+            ticker = setInterval(onChange, 1000);
+        }
+    }
+
+    function stopTickerIfIdle() {
+        if (ticker && pending.size === 0) {
+            clearInterval(ticker);
+            ticker = null;
+        }
+    }
+
+    /**
+     * Drop all timers (pending files simply stay uncommitted in the working tree)
+     */
+    function dispose() {
+        for (const batch of pending.values()) {
+            clearTimeout(batch.timer);
+        }
+        pending.clear();
+        stopTickerIfIdle();
+    }
+
+    return {
+        add,
+        flush,
+        getStatus,
+        dispose
+    };
+}
+
+module.exports = { createBatchQueue };
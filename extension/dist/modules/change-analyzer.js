@@ -0,0 +1,637 @@
+"use strict";
+/**
+ * 📊 CHANGE ANALYZER MODULE
+ * Analyzes git diffs to determine change complexity and context
+ * Enables intelligent, adaptive commit message generation
+ */
+
+const path = require('path');
+const { splitDiff } = require('./diff-parser');
+const { getLanguage, extractSymbols, formatSymbol } = require('./symbol-extractor');
+
+/**
+ * Change type enum
+ */
+const ChangeType = {
+    FEAT: 'feat',       // New feature
+    FIX: 'fix',         // Bug fix
+    REFACTOR: 'refactor', // Code refactoring
+    DOCS: 'docs',       // Documentation
+    STYLE: 'style',     // Formatting, whitespace
+    TEST: 'test',       // Tests
+    CHORE: 'chore',     // Maintenance
+    PERF: 'perf',       // Performance
+    BUILD: 'build',     // Build system
+    CI: 'ci',           // CI/CD
+    SECURITY: 'security' // Security fix
+};
+
+/**
+ * Complexity levels
+ */
+const Complexity = {
+    TRIVIAL: 'trivial',   // 1-5 lines, typos, minor fixes
+    SIMPLE: 'simple',     // 6-20 lines, small changes
+    MODERATE: 'moderate', // 21-50 lines, feature additions
+    COMPLEX: 'complex',   // 51-150 lines, significant changes
+    MAJOR: 'major'        // 150+ lines, large refactors
+};
+
+/**
+ * Analyze a git diff and extract meaningful metrics.
+ * Each file in the diff is analyzed on its own; the change type is the one
+ * covering the most changed lines and the scope the one all files share.
+ * @param {string} diffText - Git diff output
+ * @param {string} fileName - Name of the changed file(s)
+ * @param {object} options - Options
+ * @param {Function} options.readFile - (path) => current file contents, for finding the function around a hunk
+ * @returns {object} Analysis results (files holds the per-file breakdown)
+ */
+function analyzeDiff(diffText, fileName, { readFile } = {}) {
+    const analysis = createAnalysis();
+    analysis.files = [];
+
+    if (!diffText) {
+        return analysis;
+    }
+
+    // One section per diff --git; text without diff headers is treated as a single file
+    const parsed = splitDiff(diffText, fileName);
+    const sections = parsed.length > 0
+        ? parsed
+        : [{ file: fileName, oldFile: fileName, status: 'modified', text: diffText, hunks: [] }];
+
+    // Functions, classes and methods the change touches
+    analysis.symbols = extractSymbols(parsed, readFile);
+
+    const fileAnalyses = sections.map(section => analyzeFile(section, analysis.symbols));
+    analysis.files = fileAnalyses.map(f => ({
+        file: f.file,
+        oldFile: f.oldFile,
+        status: f.status,
+        linesAdded: f.linesAdded,
+        linesRemoved: f.linesRemoved,
+        changeType: f.changeType,
+        scope: f.scope
+    }));
+
+    for (const f of fileAnalyses) {
+        analysis.linesAdded += f.linesAdded;
+        analysis.linesRemoved += f.linesRemoved;
+        for (const flag of ['isBreakingChange', 'hasNewFunction', 'hasNewClass', 'hasImportChanges',
+            'hasDependencyChanges', 'hasApiChanges', 'hasConfigChanges', 'hasTestChanges']) {
+            analysis[flag] = analysis[flag] || f[flag];
+        }
+    }
+    analysis.totalChanges = analysis.linesAdded + analysis.linesRemoved;
+    analysis.filesChanged = sections.length;
+    analysis.keywords = [...new Set(fileAnalyses.flatMap(f => f.keywords))].slice(0, 5);
+
+    // Determine complexity based on changes
+    analysis.complexity = determineComplexity(analysis.totalChanges, analysis.filesChanged);
+
+    // Ranked types and common scope across the files
+    setChangeTypes(analysis, combineTypes(fileAnalyses));
+    analysis.scope = commonScope(fileAnalyses);
+    
+    // Determine suggested message length
+    analysis.suggestedLength = determineSuggestedLength(analysis);
+
+    return analysis;
+}
+
+/**
+ * Empty analysis result
+ * @returns {object}
+ */
+function createAnalysis() {
+    return {
+        linesAdded: 0,
+        linesRemoved: 0,
+        totalChanges: 0,
+        filesChanged: 1,
+        complexity: Complexity.TRIVIAL,
+        changeType: ChangeType.CHORE,
+        changeTypes: [],         // [{ type, confidence }], highest first
+        typeConfidence: 0,
+        typeConfident: false,
+        scope: null,
+        isBreakingChange: false,
+        hasNewFunction: false,
+        hasNewClass: false,
+        hasImportChanges: false,
+        hasDependencyChanges: false,
+        hasApiChanges: false,
+        hasConfigChanges: false,
+        hasTestChanges: false,
+        symbols: { added: [], removed: [], modified: [] },
+        keywords: [],
+        suggestedLength: 'short' // 'short', 'medium', 'detailed'
+    };
+}
+
+/**
+ * Analyze one file's section of the diff
+ * @param {object} section - Entry from splitDiff
+ * @param {object} symbols - Symbols of the whole diff (each carries its file)
+ * @returns {object} Analysis of the file, plus file, oldFile and status
+ */
+function analyzeFile(section, symbols) {
+    const analysis = createAnalysis();
+    analysis.file = section.file;
+    analysis.oldFile = section.oldFile;
+    analysis.status = section.status;
+
+    // Count added/removed lines
+    const changed = changedLines(section);
+    analysis.linesAdded = changed.added.length;
+    analysis.linesRemoved = changed.removed.length;
+    analysis.totalChanges = analysis.linesAdded + analysis.linesRemoved;
+
+    analysis.symbols = {
+        added: symbols.added.filter(s => s.file === section.file),
+        removed: symbols.removed.filter(s => s.file === section.file),
+        modified: symbols.modified.filter(s => s.file === section.file)
+    };
+
+    // Analyze content patterns
+    analyzeContentPatterns(changed, section.file, analysis);
+    analysis.isBreakingChange = detectBreakingChange(changed);
+    if (getLanguage(section.file)) {
+        analysis.hasNewFunction = analysis.symbols.added.some(s => s.kind !== 'class');
+        analysis.hasNewClass = analysis.symbols.added.some(s => s.kind === 'class');
+    }
+
+    // Score the possible change types
+    setChangeTypes(analysis, classifyChange(section, changed, analysis));
+
+    // Extract scope from file path, or from the touched class or file
+    analysis.scope = extractScope(section.file, analysis.symbols);
+
+    return analysis;
+}
+
+/**
+ * Store a ranking on an analysis: changeType is the top type, typeConfident
+ * says whether it is sure enough to tell the AI
+ * @param {object} analysis - Analysis to update
+ * @param {Array<{type: string, confidence: number}>} ranking - Types by confidence
+ */
+function setChangeTypes(analysis, ranking) {
+    analysis.changeTypes = ranking;
+    analysis.changeType = ranking[0]?.type || ChangeType.CHORE;
+    analysis.typeConfidence = ranking[0]?.confidence || 0;
+    analysis.typeConfident = analysis.typeConfidence >= MIN_TYPE_CONFIDENCE;
+}
+
+/**
+ * Combine the files' rankings, each file weighted by its changed lines
+ * (at least one, so pure renames still count)
+ * @param {Array} files - Per-file analyses
+ * @returns {Array<{type: string, confidence: number}>} Types by confidence, highest first
+ */
+function combineTypes(files) {
+    const scores = new Map();
+    for (const f of files) {
+        const weight = Math.max(1, f.totalChanges);
+        for (const { type, confidence } of f.changeTypes) {
+            scores.set(type, (scores.get(type) || 0) + confidence * weight);
+        }
+    }
+    return rankTypes(scores);
+}
+
+// Directories too broad to be a scope on their own
+const GENERIC_DIRECTORIES = new Set(['', '.', 'src', 'lib', 'source', 'app', 'packages', 'dist', 'test', 'tests']);
+
+/**
+ * Scope shared by every file: their common scope, otherwise the deepest
+ * directory they all live in
+ * @param {Array} files - Per-file analyses
+ * @returns {string|null}
+ */
+function commonScope(files) {
+    const scopes = new Set(files.map(f => f.scope));
+    if (scopes.size === 1 && (files.length === 1 || !scopes.has(null))) {
+        return [...scopes][0];
+    }
+
+    const dirs = files.map(f => path.posix.dirname(f.file.replace(/\\/g, '/')).split('/'));
+    const shared = [];
+    for (let i = 0; dirs.every(d => i < d.length && d[i] === dirs[0][i]); i++) {
+        shared.push(dirs[0][i]);
+    }
+    const dir = shared[shared.length - 1] || '';
+    return GENERIC_DIRECTORIES.has(dir.toLowerCase()) ? null : toScopeName(dir);
+}
+
+/**
+ * Determine complexity level from metrics
+ */
+function determineComplexity(totalChanges, filesChanged) {
+    // Multi-file changes increase complexity
+    const adjustedChanges = totalChanges + (filesChanged - 1) * 10;
+    
+    if (adjustedChanges <= 5) return Complexity.TRIVIAL;
+    if (adjustedChanges <= 20) return Complexity.SIMPLE;
+    if (adjustedChanges <= 50) return Complexity.MODERATE;
+    if (adjustedChanges <= 150) return Complexity.COMPLEX;
+    return Complexity.MAJOR;
+}
+
+// "api", "endpoint", "route", "handler" as a word or a camelCase/snake_case part
+// (apiClient, getApi, user_routes), but not inside other words (capital, rapid)
+const API_WORD = /(?:\b|_|(?<=[a-z]))(?:api|API|Api|endpoint|Endpoint|router?|Router?|handler|Handler)s?(?![a-z])/;
+
+/**
+ * Flag what kind of content a file's change touches. Code patterns and keywords
+ * are read from the changed lines only; the file name decides dependency, config
+ * and test changes.
+ * @param {{added: string[], removed: string[]}} changed - Changed lines
+ * @param {string} fileName - File path
+ * @param {object} analysis - The file's analysis to update
+ */
+function analyzeContentPatterns(changed, fileName, analysis) {
+    const lowerFile = fileName.toLowerCase();
+    const lines = [...changed.added, ...changed.removed];
+
+    // Check for new functions/classes
+    if (changed.added.some(line => /^\s*(function|const\s+\w+\s*=\s*(?:async\s*)?\(|class\s+\w+)/.test(line))) {
+        analysis.hasNewFunction = true;
+    }
+    if (changed.added.some(line => /^\s*class\s+\w+/.test(line))) {
+        analysis.hasNewClass = true;
+    }
+    
+    // Check for import changes
+    if (lines.some(line => /^\s*(import|require|from\s+['"])/.test(line))) {
+        analysis.hasImportChanges = true;
+    }
+    
+    // Check for dependency changes
+    if (lowerFile.includes('package.json') || 
+        lowerFile.includes('requirements.txt') ||
+        lowerFile.includes('cargo.toml') ||
+        lowerFile.includes('go.mod')) {
+        analysis.hasDependencyChanges = true;
+    }
+    
+    // Check for API changes (in the code itself; a file named "api" may hold anything)
+    if (lines.some(line => API_WORD.test(line))) {
+        analysis.hasApiChanges = true;
+    }
+    
+    // Check for config changes
+    if (lowerFile.includes('config') || 
+        lowerFile.endsWith('.json') ||
+        lowerFile.endsWith('.yml') ||
+        lowerFile.endsWith('.yaml') ||
+        lowerFile.endsWith('.env')) {
+        analysis.hasConfigChanges = true;
+    }
+    
+    // Check for test changes
+    if (lowerFile.includes('test') || 
+        lowerFile.includes('spec') ||
+        lowerFile.includes('__tests__')) {
+        analysis.hasTestChanges = true;
+    }
+    
+    // Extract keywords from the changed lines (comments, log messages)
+    const keywordMatches = lines.join('\n').match(/(?:fix|add|update|remove|refactor|improve|optimize|enhance|implement)\s+\w+/gi);
+    if (keywordMatches) {
+        analysis.keywords = [...new Set(keywordMatches.slice(0, 5))];
+    }
+}
+
+// Change type classification: each signal adds weight to a type. Only added
+// and removed lines are read, so words in untouched context lines do not count.
+
+// Below this share of the total weight the type is left to the AI
+const MIN_TYPE_CONFIDENCE = 0.5;
+
+// Where a file lives (weight 3)
+const PATH_SIGNALS = [
+    { type: ChangeType.TEST, pattern: /(^|\/)(__tests__|tests?|specs?)\/|\.(test|spec)\.\w+$|_test\.(go|py)$|(^|\/)test_\w+\.py$/i },
+    { type: ChangeType.DOCS, pattern: /\.(md|mdx|rst|adoc)$|(^|\/)docs?\/|(^|\/)(readme|changelog|contributing|license)(\.\w+)?$/i },
+    { type: ChangeType.CI, pattern: /(^|\/)\.github\/workflows\/|\.gitlab-ci\.yml$|(^|\/)jenkinsfile$|(^|\/)\.circleci\/|azure-pipelines\.yml$|\.travis\.yml$/i },
+    { type: ChangeType.BUILD, pattern: /(^|\/)(webpack|vite|rollup|esbuild|babel|tsconfig)[\w.-]*\.(js|cjs|mjs|ts|json)$|(^|\/)dockerfile|(^|\/)makefile$|(^|\/)(package\.json|package-lock\.json|yarn\.lock|pnpm-lock\.yaml|requirements[\w-]*\.txt|pyproject\.toml|poetry\.lock|cargo\.(toml|lock)|go\.(mod|sum)|pom\.xml|build\.gradle(\.kts)?)$/i },
+    { type: ChangeType.CHORE, pattern: /(^|\/)\.(gitignore|gitattributes|editorconfig|prettierrc|eslintrc)|(^|\/)\.vscode\//i }
+];
+const PATH_WEIGHT = 3;
+
+// Words in changed lines (weight 1 per line, at most 3 per type)
+const KEYWORD_SIGNALS = [
+    { type: ChangeType.FIX, pattern: /\b(fix(es|ed)?|bug|crash(es)?|wrong|incorrect|regression|workaround|off[- ]by[- ]one)\b|\b(null|undefined|NaN)\b.*[!=]==?|[!=]==?\s*(null|undefined)\b/i },
+    { type: ChangeType.PERF, pattern: /\b(cache[ds]?|memoi[sz]e[ds]?|optimi[sz]e[ds]?|perf(ormance)?|debounce|throttle|lazy|faster)\b/i },
+    { type: ChangeType.SECURITY, pattern: /\b(sanitiz(e|ed|ation)|escape(html)?|xss|csrf|cve-\d+|vulnerab\w*|injection|timingsafeequal)\b/i }
+];
+const MAX_KEYWORD_WEIGHT = 3;
+
+// Comment-only lines, in the languages the symbol extractor knows plus shell/YAML
+const COMMENT_LINE = /^\s*(\/\/|#|\/\*|\*|<!--|--)/;
+
+/**
+ * Added and removed lines of a diff section, without their +/- marker.
+ * Read from the parsed hunks, so content lines starting with "++" or "--" count.
+ * @param {object} section - Entry from splitDiff
+ * @returns {{added: string[], removed: string[]}}
+ */
+function changedLines(section) {
+    const added = [];
+    const removed = [];
+    for (const hunk of section.hunks) {
+        for (const line of hunk.lines) {
+            if (line[0] === '+') {
+                added.push(line.slice(1));
+            } else if (line[0] === '-') {
+                removed.push(line.slice(1));
+            }
+        }
+    }
+    return { added, removed };
+}
+
+/**
+ * Score the possible change types of one file
+ * @param {object} section - Entry from splitDiff
+ * @param {{added: string[], removed: string[]}} changed - Changed lines
+ * @param {object} analysis - The file's analysis so far (line counts, symbols, flags)
+ * @returns {Array<{type: string, confidence: number}>} Types by confidence, highest first
+ */
+function classifyChange(section, changed, analysis) {
+    const scores = new Map([[ChangeType.CHORE, 0.5]]);
+    const add = (type, weight) => scores.set(type, (scores.get(type) || 0) + weight);
+    const filePath = (section.file || '').replace(/\\/g, '/');
+    const lines = [...changed.added, ...changed.removed].filter(line => line.trim());
+
+    // Path
+    for (const { type, pattern } of PATH_SIGNALS) {
+        if (pattern.test(filePath)) {
+            add(type, PATH_WEIGHT);
+            break;
+        }
+    }
+
+    // Keywords in changed lines
+    for (const { type, pattern } of KEYWORD_SIGNALS) {
+        const hits = lines.filter(line => pattern.test(line)).length;
+        if (hits > 0) {
+            add(type, Math.min(hits, MAX_KEYWORD_WEIGHT));
+        }
+    }
+
+    // Structure
+    const { added, removed, modified } = analysis.symbols;
+    const squash = (list) => list.join('').replace(/\s+/g, '');
+    if (lines.length > 0 && squash(changed.added) === squash(changed.removed)) {
+        add(ChangeType.STYLE, 5);
+    } else if (lines.length > 0 && lines.every(line => COMMENT_LINE.test(line))) {
+        add(ChangeType.DOCS, 3);
+    }
+    if (section.status === 'renamed' && lines.length === 0) {
+        add(ChangeType.REFACTOR, 3);
+    }
+    if (section.status === 'added' && added.length > 0) {
+        add(ChangeType.FEAT, 2);
+    }
+    if (section.status === 'deleted') {
+        add(ChangeType.REFACTOR, 1.5);
+    }
+    if (added.length > 0) {
+        add(ChangeType.FEAT, 2 + Math.min(2, added.length * 0.5));
+    } else if (removed.length > 0) {
+        add(ChangeType.REFACTOR, 2);
+    }
+    if (modified.length > 0 && added.length === 0 && removed.length === 0) {
+        // Small edits inside existing functions are usually fixes, larger ones reworks
+        add(analysis.totalChanges <= 10 ? ChangeType.FIX : ChangeType.REFACTOR, 1);
+    }
+    if (analysis.linesAdded > 20 && analysis.linesAdded >= analysis.linesRemoved * 2) {
+        add(ChangeType.FEAT, 1.5);
+    } else if (analysis.linesRemoved > 0 && analysis.linesRemoved >= analysis.linesAdded && added.length === 0) {
+        add(ChangeType.REFACTOR, 1);
+    }
+    if (lines.length > 0 && lines.every(line => /^\s*(import\b|from\s+\S+\s+import\b|(const|let|var)\s+.*=\s*require\(|use\s+[\w:]+)/.test(line))) {
+        add(ChangeType.CHORE, 2);
+    }
+
+    return rankTypes(scores);
+}
+
+/**
+ * Turn weights into confidences (shares of the total), highest first
+ * @param {Map<string, number>} scores - type → weight
+ * @returns {Array<{type: string, confidence: number}>}
+ */
+function rankTypes(scores) {
+    const total = [...scores.values()].reduce((sum, weight) => sum + weight, 0) || 1;
+    return [...scores.entries()]
+        .map(([type, weight]) => ({ type, confidence: Math.round(weight / total * 100) / 100 }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Breaking changes in the changed lines: an explicit marker or @deprecated,
+ * or an export that is removed without being added back
+ * @param {{added: string[], removed: string[]}} changed - Changed lines
+ * @returns {boolean}
+ */
+function detectBreakingChange(changed) {
+    if (changed.added.some(line => /\bBREAKING[ -]CHANGE\b|@deprecated\b/i.test(line))) {
+        return true;
+    }
+
+    const exportName = (line) => (line.match(/^\s*export\s+(?:default\s+)?(?:declare\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([\w$]+)/) || [])[1];
+    const stillExported = new Set(changed.added.map(exportName).filter(Boolean));
+    return changed.removed.some(line => {
+        const name = exportName(line);
+        return name && !stillExported.has(name);
+    });
+}
+
+/**
+ * Extract scope from file path
+ * @param {string} fileName - Changed file(s)
+ * @param {object} symbols - Symbols from extractSymbols, used when the path has no recognizable scope
+ */
+function extractScope(fileName, symbols = null) {
+    if (!fileName) return null;
+    
+    const lowerPath = fileName.toLowerCase();
+    
+    // Common scope patterns
+    const scopePatterns = [
+        { pattern: /components?[/\\](\w+)/i, group: 1 },
+        { pattern: /modules?[/\\](\w+)/i, group: 1 },
+        { pattern: /services?[/\\](\w+)/i, group: 1 },
+        { pattern: /api[/\\](\w+)/i, group: 1 },
+        { pattern: /pages?[/\\](\w+)/i, group: 1 },
+        { pattern: /views?[/\\](\w+)/i, group: 1 },
+        { pattern: /utils?[/\\]/i, scope: 'utils' },
+        { pattern: /helpers?[/\\]/i, scope: 'helpers' },
+        { pattern: /hooks?[/\\]/i, scope: 'hooks' },
+        { pattern: /store[/\\]/i, scope: 'store' },
+        { pattern: /auth/i, scope: 'auth' },
+        { pattern: /config/i, scope: 'config' },
+        { pattern: /test|spec/i, scope: 'test' },
+        { pattern: /docs?[/\\]/i, scope: 'docs' }
+    ];
+    
+    for (const { pattern, group, scope } of scopePatterns) {
+        const match = lowerPath.match(pattern);
+        if (match) {
+            return scope || (group && match[group]) || null;
+        }
+    }
+    
+    // Use file extension as fallback for certain types
+    const ext = fileName.split('.').pop()?.toLowerCase();
+    if (ext === 'css' || ext === 'scss' || ext === 'sass') return 'styles';
+    if (ext === 'md') return 'docs';
+
+    return symbols ? scopeFromSymbols(symbols) : null;
+}
+
+// File names that say nothing about what is inside
+const GENERIC_BASENAMES = new Set(['index', 'main', 'mod', 'lib', '__init__', 'app']);
+
+/**
+ * Scope from the code a change touches: the one class it stays inside,
+ * otherwise the one file it stays inside ("fix(parser): ... in tokenize()")
+ * @param {{added: Array, removed: Array, modified: Array}} symbols - Symbols from extractSymbols
+ * @returns {string|null}
+ */
+function scopeFromSymbols(symbols) {
+    const all = [...symbols.added, ...symbols.removed, ...symbols.modified];
+    if (all.length === 0) {
+        return null;
+    }
+
+    const classes = new Set(all.map(s => s.kind === 'class' ? s.name : s.owner).filter(Boolean));
+    const unowned = all.some(s => s.kind !== 'class' && !s.owner);
+    if (classes.size === 1 && !unowned) {
+        return toScopeName([...classes][0]);
+    }
+
+    const files = new Set(all.map(s => s.file));
+    if (files.size === 1) {
+        const base = path.basename([...files][0]).replace(/\.[^.]+$/, '');
+        if (!GENERIC_BASENAMES.has(base.toLowerCase())) {
+            return toScopeName(base);
+        }
+    }
+    return null;
+}
+
+/**
+ * "ParserState" / "parser_state" → "parser-state"
+ * @param {string} name - Class or file name
+ * @returns {string}
+ */
+function toScopeName(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+        .replace(/[_\s.]+/g, '-')
+        .toLowerCase();
+}
+
+/**
+ * Determine suggested message length based on analysis
+ */
+function determineSuggestedLength(analysis) {
+    // Breaking changes always need detail
+    if (analysis.isBreakingChange) {
+        return 'detailed';
+    }
+    
+    // Trivial changes get short messages
+    if (analysis.complexity === Complexity.TRIVIAL) {
+        return 'short';
+    }
+    
+    // Simple changes get short to medium
+    if (analysis.complexity === Complexity.SIMPLE) {
+        return analysis.hasNewFunction ? 'medium' : 'short';
+    }
+    
+    // Moderate complexity gets medium
+    if (analysis.complexity === Complexity.MODERATE) {
+        return 'medium';
+    }
+    
+    // Complex and major changes get detailed
+    return 'detailed';
+}
+
+/**
+ * Generate context hints for AI based on analysis
+ */
+function generateContextHints(analysis) {
+    const hints = [];
+    
+    hints.push(`Change complexity: ${analysis.complexity} (${analysis.totalChanges} lines, ${analysis.filesChanged} file(s))`);
+    hints.push(analysis.typeConfident
+        ? `Detected type: ${analysis.changeType} (${Math.round(analysis.typeConfidence * 100)}%)`
+        : `Type unclear: ${formatTypeCandidates(analysis.changeTypes)}`);
+    
+    if (analysis.scope) {
+        hints.push(`Scope: ${analysis.scope}`);
+    }
+
+    if (analysis.files?.length > 1) {
+        const types = {};
+        for (const f of analysis.files) {
+            types[f.changeType] = (types[f.changeType] || 0) + 1;
+        }
+        hints.push(`Files by type: ${Object.entries(types).map(([type, count]) => `${type} ×${count}`).join(', ')}`);
+    }
+    
+    if (analysis.isBreakingChange) {
+        hints.push('⚠️ This appears to be a BREAKING CHANGE');
+    }
+    
+    if (analysis.hasNewFunction || analysis.hasNewClass) {
+        hints.push('New functions/classes detected');
+    }
+
+    const { added, removed, modified } = analysis.symbols || {};
+    if (modified?.length) {
+        hints.push(`Modified: ${modified.map(formatSymbol).join(', ')}`);
+    }
+    if (added?.length) {
+        hints.push(`Added: ${added.map(formatSymbol).join(', ')}`);
+    }
+    if (removed?.length) {
+        hints.push(`Removed: ${removed.map(formatSymbol).join(', ')}`);
+    }
+    
+    if (analysis.hasDependencyChanges) {
+        hints.push('Dependency changes detected');
+    }
+    
+    if (analysis.hasApiChanges) {
+        hints.push('API/endpoint changes detected');
+    }
+    
+    return hints;
+}
+
+/**
+ * "fix 45%, refactor 30%, chore 10%"
+ * @param {Array<{type: string, confidence: number}>} ranking - Types by confidence
+ * @param {number} max - Types to list
+ * @returns {string}
+ */
+function formatTypeCandidates(ranking, max = 3) {
+    return ranking.slice(0, max).map(({ type, confidence }) => `${type} ${Math.round(confidence * 100)}%`).join(', ');
+}
+
+module.exports = {
+    analyzeDiff,
+    generateContextHints,
+    formatTypeCandidates,
+    ChangeType,
+    Complexity
+};
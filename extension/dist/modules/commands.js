@@ -0,0 +1,1066 @@
+"use strict";
+/**
+ * ⌨️ COMMANDS MODULE
+ * Registers all VS Code commands for the extension
+ */
+
+const vscode = require("vscode");
+const path = require("path");
+const minimatch = require("minimatch");
+const { PROVIDERS, resolveProviderSettings } = require('./ai-providers');
+const { getSubject } = require('./commit-message');
+
+/**
+ * Register all extension commands
+ * @param {object} deps - Dependencies
+ * @param {vscode.ExtensionContext} deps.context - Extension context
+ * @param {object} deps.statsManager - Stats manager instance
+ * @param {object} deps.uiManager - UI manager instance
+ * @param {object} deps.gitOps - Git operations instance
+ * @param {object} deps.repoManager - Repository manager (multi-root support)
+ * @param {object} deps.aiService - AI service instance
+ * @param {object} deps.keyStore - API key store (SecretStorage)
+ * @param {object} deps.commitFlow - Shared commit flow
+ * @param {Function} deps.commitChanges - ({ repoRoot, config, document, files }) => the save path's commit, with all its checks and the repository lock
+ * @param {object} deps.pushQueue - Queue of pushes waiting for a retry
+ * @param {object} deps.undoStack - Persisted list of commits that can be undone
+ * @param {object} deps.pairingSession - Current pairing session (Co-authored-by trailers)
+ * @param {vscode.OutputChannel} deps.outputChannel - Output channel
+ * @param {object} deps.state - Shared state object
+ */
+function registerCommands(deps) {
+    const { 
+        context, 
+        statsManager, 
+        uiManager, 
+        gitOps, 
+        repoManager,
+        aiService, 
+        keyStore,
+        commitFlow,
+        commitChanges,
+        pushQueue,
+        undoStack,
+        pairingSession,
+        outputChannel,
+        state 
+    } = deps;
+    
+    const out = outputChannel;
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 📋 QUICK ACTIONS MENU
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const quickActionsCmd = vscode.commands.registerCommand('git-autopush.showQuickActions', async () => {
+        const activeRepo = repoManager.getActiveRepository();
+        const repoCount = repoManager.listRepositories().length;
+        const cfg = repoManager.getConfig(activeRepo);
+        const autoCommit = cfg.get('autoCommit', false);
+        const autoPush = cfg.get('autoPush', false);
+        const dryRun = cfg.get('dryRun', true);
+        const stats = statsManager.getStats();
+        const undoable = activeRepo ? undoStack.getEntries(activeRepo) : [];
+        const { provider, requiresKey, available: hasKey } = await keyStore.resolveApiKey(cfg);
+        
+        // Get AI settings for display
+        const commitStyle = cfg.get('ai.commitStyle', 'auto');
+        const conventionalCommits = cfg.get('ai.conventionalCommits', true);
+        const includeScope = cfg.get('ai.includeScope', true);
+        const baseBranch = cfg.get('pr.baseBranch', 'main');
+
+        const styleLabels = { auto: 'Auto', concise: 'Short', detailed: 'Detailed' };
+
+        const items = [
+            ...(repoCount > 1 ? [
+                { label: `$(repo) Repository: ${activeRepo ? repoManager.describeRepo(activeRepo) : 'None'}`, description: repoManager.isPinned() ? 'Pinned — click to change' : 'Follows active editor — click to pin', action: 'switchRepo' },
+                { label: '', kind: vscode.QuickPickItemKind.Separator },
+            ] : []),
+            { label: `$(git-commit) Auto Commit: ${autoCommit ? 'On' : 'Off'}`, description: 'Toggle auto commits', action: 'toggleCommit' },
+            { label: `$(cloud-upload) Auto Push: ${autoPush ? 'On' : 'Off'}`, description: 'Toggle auto push', action: 'togglePush' },
+            { label: `$(beaker) Dry Run: ${dryRun ? 'On' : 'Off'}`, description: 'Toggle dry run mode', action: 'toggleDry' },
+            { label: '', kind: vscode.QuickPickItemKind.Separator },
+            { label: '$(play) Run Once Now', description: 'Execute commit now', action: 'runOnce' },
+            { label: '$(cloud-upload) Push Pending', description: await pendingDescription(activeRepo), action: 'pushPending' },
+            { label: '$(fold) Squash Session', description: 'Fold recent auto-commits into one', action: 'squash' },
+            pairingSession.isActive()
+                ? { label: `$(organization) Pairing: ${pairingSession.describe()}`, description: 'End the pairing session', action: 'endPairing' }
+                : { label: '$(organization) Start Pairing Session', description: 'Add Co-authored-by to every commit', action: 'startPairing' },
+            { label: '$(discard) Undo Commit', description: undoable.length ? `Undo: ${getSubject(undoable[0].message).slice(0,30)}...${undoable.length > 1 ? ` (+${undoable.length - 1} older)` : ''}` : 'No commit to undo', action: 'undo' },
+            { label: '', kind: vscode.QuickPickItemKind.Separator },
+            { label: '$(git-pull-request) Generate PR Description', description: `Compare against: ${baseBranch}`, action: 'generatePR' },
+            { label: '$(clippy) Copy PR to Clipboard', description: 'Quick copy PR description', action: 'copyPR' },
+            { label: '', kind: vscode.QuickPickItemKind.Separator },
+            { label: `$(edit) Commit Style: ${styleLabels[commitStyle]}`, description: 'Change message length style', action: 'changeStyle' },
+            { label: `$(list-ordered) Conventional Commits: ${conventionalCommits ? 'On' : 'Off'}`, description: 'Toggle feat:/fix: prefixes', action: 'toggleConventional' },
+            { label: `$(symbol-namespace) Include Scope: ${includeScope ? 'On' : 'Off'}`, description: 'Toggle (auth): (api): in messages', action: 'toggleScope' },
+            { label: '', kind: vscode.QuickPickItemKind.Separator },
+            { label: '$(graph) View Statistics', description: `${stats.totalCommits} commits`, action: 'stats' },
+            { label: '$(history) Commit History', description: 'View recent commits', action: 'history' },
+            { label: '$(milestone) Checkpoint Timeline', description: cfg.get('checkpoint.enabled', false) ? 'Diff or restore a checkpoint' : 'Checkpoint mode is off', action: 'checkpoints' },
+            { label: `$(hubot) AI Provider: ${provider.label}`, description: 'Switch AI backend', action: 'changeProvider' },
+            { label: `$(key) API Key: ${hasKey ? 'Configured' : 'Missing'}`, description: hasKey ? (requiresKey ? `${provider.label} key stored securely` : 'No key needed') : 'Click to configure', action: 'apiKey' },
+            { label: '$(terminal) Debug Output', description: 'View extension logs', action: 'log' },
+        ];
+
+        const selected = await vscode.window.showQuickPick(items, { placeHolder: 'Git AutoPush - Quick Actions' });
+        if (!selected) return;
+
+        switch (selected.action) {
+            case 'switchRepo':
+                const repos = repoManager.listRepositories().map(repo => ({
+                    label: `$(repo) ${repo.name}`,
+                    description: repo.root === activeRepo ? 'active' : '',
+                    detail: repo.root,
+                    root: repo.root
+                }));
+                repos.push({ label: '$(file) Follow active editor', description: 'Unpin', root: null });
+                const pickedRepo = await vscode.window.showQuickPick(repos, { placeHolder: 'Select repository for status bar and commands' });
+                if (pickedRepo) {
+                    repoManager.setActiveRepository(pickedRepo.root);
+                }
+                break;
+            case 'toggleCommit':
+                await toggleRepoAutoCommit(activeRepo);
+                vscode.window.showInformationMessage(`Auto Commit: ${!autoCommit ? 'ON' : 'OFF'}`);
+                break;
+            case 'togglePush':
+                await cfg.update('autoPush', !autoPush, vscode.ConfigurationTarget.Workspace);
+                vscode.window.showInformationMessage(`Auto Push: ${!autoPush ? 'ON' : 'OFF'}`);
+                break;
+            case 'toggleDry':
+                await cfg.update('dryRun', !dryRun, vscode.ConfigurationTarget.Workspace);
+                vscode.window.showInformationMessage(`Dry Run: ${!dryRun ? 'ON' : 'OFF'}`);
+                break;
+            case 'runOnce': vscode.commands.executeCommand('git-autopush.runOnce'); break;
+            case 'pushPending': vscode.commands.executeCommand('git-autopush.pushPending'); break;
+            case 'squash': vscode.commands.executeCommand('git-autopush.squashSession'); break;
+            case 'startPairing': vscode.commands.executeCommand('git-autopush.startPairing'); break;
+            case 'endPairing': vscode.commands.executeCommand('git-autopush.endPairing'); break;
+            case 'checkpoints': vscode.commands.executeCommand('git-autopush.showCheckpoints'); break;
+            case 'undo': vscode.commands.executeCommand('git-autopush.undoLastCommit'); break;
+            case 'generatePR': vscode.commands.executeCommand('git-autopush.generatePR'); break;
+            case 'copyPR': vscode.commands.executeCommand('git-autopush.copyPRToClipboard'); break;
+            case 'changeStyle':
+                const styles = [
+                    { label: 'Auto', description: 'AI picks based on change size', value: 'auto' },
+                    { label: 'Concise', description: 'Always short one-liners', value: 'concise' },
+                    { label: 'Detailed', description: 'Always include body with bullets', value: 'detailed' }
+                ];
+                const picked = await vscode.window.showQuickPick(styles, { placeHolder: 'Select commit message style' });
+                if (picked) {
+                    await cfg.update('ai.commitStyle', picked.value, vscode.ConfigurationTarget.Workspace);
+                    vscode.window.showInformationMessage(`Commit Style: ${picked.label}`);
+                }
+                break;
+            case 'toggleConventional':
+                await cfg.update('ai.conventionalCommits', !conventionalCommits, vscode.ConfigurationTarget.Workspace);
+                vscode.window.showInformationMessage(`Conventional Commits: ${!conventionalCommits ? 'ON' : 'OFF'}`);
+                break;
+            case 'toggleScope':
+                await cfg.update('ai.includeScope', !includeScope, vscode.ConfigurationTarget.Workspace);
+                vscode.window.showInformationMessage(`Include Scope: ${!includeScope ? 'ON' : 'OFF'}`);
+                break;
+            case 'stats': vscode.commands.executeCommand('git-autopush.showStats'); break;
+            case 'history': vscode.commands.executeCommand('git-autopush.showHistory'); break;
+            case 'changeProvider':
+                const providers = Object.values(PROVIDERS).map(p => ({
+                    label: p.label,
+                    description: p.id === provider.id ? 'current' : p.baseUrl,
+                    value: p.id
+                }));
+                const pickedProvider = await vscode.window.showQuickPick(providers, { placeHolder: 'Select AI provider' });
+                if (pickedProvider) {
+                    await cfg.update('ai.provider', pickedProvider.value, vscode.ConfigurationTarget.Workspace);
+                    vscode.window.showInformationMessage(`AI Provider: ${pickedProvider.label}`);
+                }
+                break;
+            case 'apiKey': vscode.commands.executeCommand('git-autopush.setApiKey'); break;
+            case 'log': out.show(); break;
+        }
+        uiManager.updateStatusBar();
+    });
+    context.subscriptions.push(quickActionsCmd);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 📊 SHOW STATS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const showStatsCmd = vscode.commands.registerCommand('git-autopush.showStats', async () => {
+        const stats = statsManager.getStats();
+        const achievements = statsManager.getAllAchievements();
+        uiManager.showStatsPanel(stats, achievements);
+    });
+    context.subscriptions.push(showStatsCmd);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 📜 SHOW HISTORY
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const showHistoryCmd = vscode.commands.registerCommand('git-autopush.showHistory', async () => {
+        const stats = statsManager.getStats();
+        if (stats.commitHistory.length === 0) {
+            vscode.window.showInformationMessage('No commit history yet!');
+            return;
+        }
+        const items = stats.commitHistory.map((c, i) => ({
+            label: `${i + 1}. ${getSubject(c.message)}`,
+            description: new Date(c.timestamp).toLocaleString()
+        }));
+        await vscode.window.showQuickPick(items, { placeHolder: '📜 Recent Commits' });
+    });
+    context.subscriptions.push(showHistoryCmd);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ↩️ UNDO COMMIT
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const undoLastCommitCmd = vscode.commands.registerCommand('git-autopush.undoLastCommit', async () => {
+        const repoRoot = repoManager.getActiveRepository() || state.lastCommitInfo?.repoRoot;
+        const entries = repoRoot ? undoStack.getEntries(repoRoot) : [];
+        if (entries.length === 0) {
+            vscode.window.showWarningMessage('No recent commit to undo');
+            return;
+        }
+
+        let entry = entries[0];
+        if (entries.length > 1) {
+            const items = entries.map(e => ({
+                label: `$(git-commit) ${getSubject(e.message)}`,
+                description: `${e.hash.slice(0, 7)} · ${new Date(e.timestamp).toLocaleString()}`,
+                detail: !gitOps.isCommitInHead(repoRoot, e.hash) ? '$(warning) Not on the current branch'
+                    : gitOps.isCommitPushed(repoRoot, e.hash) ? '$(cloud) Pushed — will be reverted'
+                    : '$(discard) Local — can be reset',
+                entry: e
+            }));
+            const picked = await vscode.window.showQuickPick(items, { placeHolder: '↩️ Select a commit to undo' });
+            if (!picked) return;
+            entry = picked.entry;
+        }
+
+        await undoCommit(repoRoot, entry);
+        state.lastCommitInfo = undoStack.getEntries()[0] || null;
+        uiManager.refreshAheadCount(repoRoot);
+    });
+    context.subscriptions.push(undoLastCommitCmd);
+
+    /**
+     * Undo one recorded commit. Pushed commits are reverted, local HEAD can be
+     * reset soft or hard, and older local commits are reverted or soft reset.
+     * @param {string} repoRoot - Repository root
+     * @param {object} entry - Undo stack entry
+     */
+    async function undoCommit(repoRoot, entry) {
+        const subject = getSubject(entry.message).slice(0, 50);
+
+        if (!gitOps.isCommitInHead(repoRoot, entry.hash)) {
+            const sel = await vscode.window.showWarningMessage(
+                `"${subject}" is no longer on the current branch (undone, rebased, or on another branch)`,
+                'Forget It'
+            );
+            if (sel) await undoStack.remove([entry.hash]);
+            return;
+        }
+
+        // Never rewrite history that already left the machine
+        if (gitOps.isCommitPushed(repoRoot, entry.hash)) {
+            const confirm = await vscode.window.showWarningMessage(
+                `"${subject}" is already pushed. Undo it with a revert commit?`,
+                { modal: true },
+                'Revert Commit'
+            );
+            if (confirm) await revert(repoRoot, entry);
+            return;
+        }
+
+        const isHead = gitOps.getHeadCommit(repoRoot) === entry.hash;
+        const confirm = isHead
+            ? await vscode.window.showWarningMessage(
+                `Undo: "${subject}"?`,
+                { modal: true },
+                'Soft Reset (keep changes)',
+                'Hard Reset (discard)'
+            )
+            : await vscode.window.showWarningMessage(
+                `"${subject}" is not the latest commit. Revert it, or soft reset to before it (later commits are uncommitted too, changes kept)?`,
+                { modal: true },
+                'Revert Commit',
+                'Soft Reset (keep changes)'
+            );
+
+        if (!confirm) return;
+        if (confirm === 'Revert Commit') {
+            await revert(repoRoot, entry);
+            return;
+        }
+
+        // Everything from this commit up to HEAD disappears from the branch
+        const dropped = undoStack.getEntries(repoRoot)
+            .filter(e => e.timestamp >= entry.timestamp && gitOps.isCommitInHead(repoRoot, e.hash))
+            .map(e => e.hash);
+
+        const resetType = confirm.includes('Hard') ? 'hard' : 'soft';
+        const result = await gitOps.resetCommit(repoRoot, entry.hash, resetType);
+
+        if (!result.ok) {
+            out.appendLine(`git-autopush: undo failed: ${result.stderr.trim()}`);
+            vscode.window.showErrorMessage(`Undo failed — ${result.stderr.trim().split('\n')[0] || `exit code ${result.code}`}`);
+            return;
+        }
+
+        await undoStack.remove(dropped);
+        vscode.window.showInformationMessage(`Commit undone (${resetType})`);
+    }
+
+    /**
+     * Undo a commit with git revert and record the revert so it can be undone too
+     * @param {string} repoRoot - Repository root
+     * @param {object} entry - Undo stack entry
+     */
+    async function revert(repoRoot, entry) {
+        const result = await gitOps.revertCommit(repoRoot, entry.hash);
+
+        if (!result.ok) {
+            vscode.window.showErrorMessage(
+                result.conflict
+                    ? 'Git AutoPush: Revert hit conflicts and was aborted — later commits changed the same lines'
+                    : `Git AutoPush: Revert failed — ${result.error.split('\n')[0]}`,
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+            return;
+        }
+
+        await undoStack.remove([entry.hash]);
+        await undoStack.record({
+            repoRoot,
+            hash: result.hash,
+            message: `Revert "${getSubject(entry.message)}"\n\nThis reverts commit ${entry.hash}.`,
+            branch: gitOps.getCurrentBranch(repoRoot)
+        });
+
+        // The revert is a new local commit; pushing it stays the user's call
+        vscode.window.showInformationMessage(
+            `Reverted "${getSubject(entry.message).slice(0, 50)}" — the revert commit is not pushed yet`,
+            'Push Now'
+        ).then(sel => { if (sel === 'Push Now') vscode.commands.executeCommand('git-autopush.pushPending'); });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ⬆️ PUSH PENDING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Quick actions description for the Push Pending item
+     * @param {string|null} repoRoot - Active repository
+     * @returns {Promise<string>}
+     */
+    async function pendingDescription(repoRoot) {
+        if (!repoRoot) return 'No repository';
+        const ahead = await gitOps.getAheadCount(repoRoot);
+        const queued = pushQueue.getPendingCount(repoRoot);
+        if (queued) return `${ahead} unpushed · retry queued`;
+        return ahead ? `${ahead} unpushed` : 'Up to date';
+    }
+
+    const pushPendingCmd = vscode.commands.registerCommand('git-autopush.pushPending', async () => {
+        // Queued pushes first — they are what the user is most likely waiting for
+        if (pushQueue.getEntries().length > 0) {
+            const { pushed, failed } = await pushQueue.retry({ force: true });
+            if (failed > 0 && pushed === 0) {
+                const [entry] = pushQueue.getEntries();
+                vscode.window.showWarningMessage(
+                    `Git AutoPush: Still can't push${entry?.lastError ? ` — ${entry.lastError.split('\n')[0]}` : ''}. Will keep retrying.`
+                );
+            }
+            uiManager.refreshAheadCount();
+            return;
+        }
+
+        const repoRoot = repoManager.getActiveRepository();
+        if (!repoRoot) {
+            vscode.window.showWarningMessage('Git AutoPush: Not a git repository');
+            return;
+        }
+
+        const ahead = await gitOps.getAheadCount(repoRoot);
+        if (ahead === 0) {
+            vscode.window.showInformationMessage('Git AutoPush: Nothing to push');
+            return;
+        }
+
+        const cfg = repoManager.getConfig(repoRoot);
+        const branch = gitOps.getCurrentBranch(repoRoot);
+        if (cfg.get('protectedBranches', ['main', 'master', 'production']).includes(branch)) {
+            vscode.window.showWarningMessage(`Git AutoPush: '${branch}' is a protected branch — push it manually`);
+            return;
+        }
+
+        const remote = cfg.get('remote', '');
+        const result = await gitOps.pushBranch(repoRoot, branch, remote);
+        if (result.ok) {
+            vscode.window.showInformationMessage(
+                `$(cloud-upload) Pushed ${ahead} commit${ahead === 1 ? '' : 's'} to ${result.pushTarget.remote}/${result.pushTarget.remoteBranch}`
+            );
+        } else if (result.rejected) {
+            commitFlow.offerRebase({ repoRoot, branch, pushTarget: result.pushTarget });
+        } else if (result.pushTarget) {
+            await pushQueue.enqueue({ repoRoot, branch, remote, error: result.error });
+            vscode.window.showWarningMessage(`Git AutoPush: Push failed — queued for retry (${result.error.split('\n')[0]})`);
+        } else {
+            vscode.window.showErrorMessage(`Git AutoPush: ${result.error}`);
+        }
+        uiManager.refreshAheadCount(repoRoot);
+    });
+    context.subscriptions.push(pushPendingCmd);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 🗜️ SQUASH SESSION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const squashSessionCmd = vscode.commands.registerCommand('git-autopush.squashSession', async () => {
+        const repoRoot = repoManager.getActiveRepository();
+        if (!repoRoot) {
+            vscode.window.showWarningMessage('Git AutoPush: Not a git repository');
+            return;
+        }
+
+        if (gitOps.isDetached(repoRoot)) {
+            vscode.window.showWarningMessage('Git AutoPush: HEAD is detached — check out a branch to squash');
+            return;
+        }
+        const branch = gitOps.getCurrentBranch(repoRoot);
+
+        // Walk back from HEAD while the commits are the extension's own and unpushed (newest first)
+        const ours = new Map(undoStack.getEntries(repoRoot).map(e => [e.hash, e]));
+        const run = [];
+        let reachedPushed = false;
+        for (const hash of gitOps.listCommits(repoRoot, ours.size + 1)) {
+            if (!ours.has(hash)) break;
+            if (gitOps.isCommitPushed(repoRoot, hash)) {
+                reachedPushed = true;
+                break;
+            }
+            run.push(ours.get(hash));
+        }
+
+        if (run.length < 2) {
+            vscode.window.showInformationMessage(
+                `Git AutoPush: Nothing to squash — the tip of '${branch}' has ${run.length === 1 ? 'only one' : 'no'} unpushed Git AutoPush commit${run.length === 1 ? '' : 's'}` +
+                (reachedPushed ? ' (older ones are already on the remote)' : '')
+            );
+            return;
+        }
+
+        // Pick the oldest commit to fold in; everything after it up to HEAD comes along
+        const items = run.slice(1).reverse().map(e => {
+            const count = run.indexOf(e) + 1;
+            return {
+                label: `$(git-commit) ${getSubject(e.message)}`,
+                description: `${e.hash.slice(0, 7)} · ${new Date(e.timestamp).toLocaleString()}`,
+                detail: count === run.length ? `Squash all ${count} commits` : `Squash ${count} commits (this one and newer)`,
+                count
+            };
+        });
+        const picked = await vscode.window.showQuickPick(items, {
+            title: `Git AutoPush: Squash session on ${branch}`,
+            placeHolder: 'Oldest commit to include'
+        });
+        if (!picked) return;
+
+        const squashed = run.slice(0, picked.count);
+        const oldest = squashed[squashed.length - 1];
+        const cfg = repoManager.getConfig(repoRoot);
+        const base = `${oldest.hash}^`;
+
+        if (gitOps.getRangeFiles(repoRoot, base).length === 0) {
+            vscode.window.showInformationMessage('Git AutoPush: These commits cancel each other out — nothing to squash into');
+            return;
+        }
+
+        const message = await commitFlow.generateSquashMessage({
+            config: cfg,
+            repoRoot,
+            base,
+            subjects: squashed.map(e => getSubject(e.message)).reverse()
+        });
+        if (!message || !commitFlow.checkTicket({ config: cfg, repoRoot, message })) return;
+
+        // A queued push may have gone out while the message was being written
+        const pushed = squashed.filter(e => gitOps.isCommitPushed(repoRoot, e.hash));
+        if (pushed.length > 0) {
+            vscode.window.showWarningMessage(
+                `Git AutoPush: Can't squash — ${pushed.length} of these commits ${pushed.length === 1 ? 'is' : 'are'} already on the remote. Squashing would rewrite published history.`
+            );
+            return;
+        }
+
+        // Keep the squashed commits' co-authors and sign-offs, plus the current ones
+        const trailers = [...gitOps.getRangeTrailers(repoRoot, base), ...commitFlow.getTrailers({ config: cfg, repoRoot })];
+        const result = await gitOps.squashCommits(repoRoot, { oldest: oldest.hash, head: run[0].hash, message, trailers });
+        if (!result.ok) {
+            vscode.window.showErrorMessage(`Git AutoPush: Squash failed — ${result.error.split('\n')[0]}`, 'View Log')
+                .then(sel => { if (sel === 'View Log') out.show(); });
+            return;
+        }
+
+        await undoStack.remove(squashed.map(e => e.hash));
+        await undoStack.record({ repoRoot, hash: result.hash, message, branch });
+        state.lastCommitInfo = undoStack.getEntries()[0] || null;
+        uiManager.refreshAheadCount(repoRoot);
+
+        vscode.window.showInformationMessage(
+            `$(git-commit) Squashed ${squashed.length} commits into ${result.hash.slice(0, 7)} — not pushed yet`,
+            'Push Now'
+        ).then(sel => { if (sel === 'Push Now') vscode.commands.executeCommand('git-autopush.pushPending'); });
+    });
+    context.subscriptions.push(squashSessionCmd);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 👥 PAIRING SESSION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // "Jane Doe <jane@example.com>"
+    const CO_AUTHOR_PATTERN = /^\s*([^<>]+?)\s*<([^<>\s@]+@[^<>\s]+)>\s*$/;
+
+    const startPairingCmd = vscode.commands.registerCommand('git-autopush.startPairing', async () => {
+        const repoRoot = repoManager.getActiveRepository();
+        if (!repoRoot) {
+            vscode.window.showWarningMessage('Git AutoPush: Not a git repository');
+            return;
+        }
+
+        // Everyone who has committed here, minus yourself
+        const me = gitOps.getUserIdentity(repoRoot);
+        const current = pairingSession.getCoAuthors();
+        const isCurrent = (email) => current.some(a => a.email.toLowerCase() === email.toLowerCase());
+        const authors = gitOps.listAuthors(repoRoot)
+            .filter(a => !me || a.email.toLowerCase() !== me.email.toLowerCase());
+        for (const coAuthor of current.filter(c => !authors.some(a => a.email.toLowerCase() === c.email.toLowerCase()))) {
+            authors.unshift({ ...coAuthor, commits: 0 });
+        }
+
+        const items = authors.map(a => ({
+            label: a.name,
+            description: a.email,
+            detail: a.commits ? `${a.commits} commit${a.commits === 1 ? '' : 's'}` : undefined,
+            picked: isCurrent(a.email),
+            author: { name: a.name, email: a.email }
+        }));
+        items.push({ label: '$(add) Someone else…', description: 'Enter a name and email', author: null });
+
+        const picked = await vscode.window.showQuickPick(items, {
+            canPickMany: true,
+            placeHolder: 'Who are you pairing with? Their Co-authored-by is added to every commit until the session ends'
+        });
+        if (!picked) return;
+
+        const coAuthors = picked.filter(i => i.author).map(i => i.author);
+        if (picked.some(i => !i.author)) {
+            const entered = await vscode.window.showInputBox({
+                prompt: 'Co-author',
+                placeHolder: 'Jane Doe <jane@example.com>',
+                validateInput: (value) => CO_AUTHOR_PATTERN.test(value) ? null : 'Use the form: Name <email>'
+            });
+            if (entered) {
+                const [, name, email] = entered.match(CO_AUTHOR_PATTERN);
+                if (!coAuthors.some(a => a.email.toLowerCase() === email.toLowerCase())) {
+                    coAuthors.push({ name, email });
+                }
+            }
+        }
+
+        if (coAuthors.length === 0) {
+            if (pairingSession.isActive()) {
+                await pairingSession.end();
+                vscode.window.showInformationMessage('Git AutoPush: Pairing session ended');
+            }
+            return;
+        }
+
+        await pairingSession.start(coAuthors);
+        vscode.window.showInformationMessage(
+            `$(organization) Pairing with ${coAuthors.map(a => a.name).join(', ')} — they are credited as co-authors until you end the session`,
+            'End Session'
+        ).then(sel => { if (sel === 'End Session') vscode.commands.executeCommand('git-autopush.endPairing'); });
+    });
+    context.subscriptions.push(startPairingCmd);
+
+    const endPairingCmd = vscode.commands.registerCommand('git-autopush.endPairing', async () => {
+        if (!pairingSession.isActive()) {
+            vscode.window.showInformationMessage('Git AutoPush: No pairing session is running');
+            return;
+        }
+        const names = pairingSession.describe();
+        await pairingSession.end();
+        vscode.window.showInformationMessage(`Git AutoPush: Pairing session with ${names} ended`);
+    });
+    context.subscriptions.push(endPairingCmd);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 🕓 CHECKPOINT TIMELINE
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Read-only documents for the checkpoint side of a diff
+    const CHECKPOINT_SCHEME = 'git-autopush-checkpoint';
+    context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(CHECKPOINT_SCHEME, {
+        provideTextDocumentContent(uri) {
+            const { repoRoot, hash } = JSON.parse(uri.query);
+            return gitOps.getFileAtCommit(repoRoot, hash, uri.path.slice(1)) ?? '';
+        }
+    }));
+
+    /**
+     * Changed sensitive files — never part of a checkpoint, so never compared or restored
+     * @param {string} repoRoot - Repository root
+     * @param {object} cfg - gitAutopush configuration for the repository
+     * @returns {string[]}
+     */
+    function sensitiveChanges(repoRoot, cfg) {
+        const patterns = cfg.get('sensitiveFileGlobs', ['.env', '*.key', 'credentials.json', '*.pem']);
+        return gitOps.getChangedFiles(repoRoot).filter(f => patterns.some(p => minimatch(f, p)));
+    }
+
+    const showCheckpointsCmd = vscode.commands.registerCommand('git-autopush.showCheckpoints', async () => {
+        const repoRoot = repoManager.getActiveRepository();
+        if (!repoRoot) {
+            vscode.window.showWarningMessage('Git AutoPush: Not a git repository');
+            return;
+        }
+
+        const branch = gitOps.isDetached(repoRoot) ? null : gitOps.getCurrentBranch(repoRoot);
+        const checkpoints = branch ? gitOps.listCheckpoints(repoRoot, branch) : [];
+        if (checkpoints.length === 0) {
+            vscode.window.showInformationMessage(`Git AutoPush: No checkpoints for '${branch || 'detached HEAD'}' yet (enable gitAutopush.checkpoint.enabled)`);
+            return;
+        }
+
+        const pickedCheckpoint = await vscode.window.showQuickPick(checkpoints.map(c => ({
+            label: `$(milestone) ${c.subject}`,
+            description: `${c.hash.slice(0, 7)} · ${new Date(c.timestamp).toLocaleString()}`,
+            checkpoint: c
+        })), { title: `Git AutoPush: Checkpoints on ${branch}`, placeHolder: 'Select a checkpoint' });
+        if (!pickedCheckpoint) return;
+
+        const { checkpoint } = pickedCheckpoint;
+        const short = checkpoint.hash.slice(0, 7);
+        const exclude = sensitiveChanges(repoRoot, repoManager.getConfig(repoRoot));
+        const changes = gitOps.getCheckpointChanges(repoRoot, checkpoint.hash, exclude);
+        if (changes.length === 0) {
+            vscode.window.showInformationMessage('Git AutoPush: The working tree matches this checkpoint');
+            return;
+        }
+
+        const statusLabels = { A: 'new since the checkpoint', D: 'deleted since the checkpoint', M: 'modified' };
+        const pickedFile = await vscode.window.showQuickPick([
+            { label: `$(discard) Restore all ${changes.length} file(s)`, description: 'Files created since the checkpoint are deleted', all: true },
+            { label: '', kind: vscode.QuickPickItemKind.Separator },
+            ...changes.map(c => ({ label: `$(file) ${c.file}`, description: statusLabels[c.status] || c.status, change: c }))
+        ], { title: `Git AutoPush: Checkpoint ${short}`, placeHolder: 'Select a file to diff or restore' });
+        if (!pickedFile) return;
+
+        if (pickedFile.all) {
+            await restoreFromCheckpoint({ repoRoot, branch, checkpoint, changes, exclude, what: `${changes.length} file(s)` });
+            return;
+        }
+
+        const { change } = pickedFile;
+        const action = await vscode.window.showQuickPick([
+            { label: '$(diff) Open Diff', description: 'Checkpoint ↔ working tree', action: 'diff' },
+            { label: '$(discard) Restore This File', description: change.status === 'A' ? 'Deletes it — it did not exist yet' : '', action: 'restore' }
+        ], { placeHolder: change.file });
+        if (!action) return;
+
+        if (action.action === 'restore') {
+            await restoreFromCheckpoint({ repoRoot, branch, checkpoint, changes: [change], exclude, what: change.file });
+            return;
+        }
+
+        const checkpointUri = vscode.Uri.from({
+            scheme: CHECKPOINT_SCHEME,
+            path: `/${change.file}`,
+            query: JSON.stringify({ repoRoot, hash: checkpoint.hash })
+        });
+        if (change.status === 'D') {
+            // Nothing on disk to compare with — show the checkpoint version alone
+            await vscode.window.showTextDocument(checkpointUri, { preview: true });
+            return;
+        }
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            checkpointUri,
+            vscode.Uri.file(path.join(repoRoot, change.file)),
+            `${path.basename(change.file)} (checkpoint ${short} ↔ working tree)`
+        );
+    });
+    context.subscriptions.push(showCheckpointsCmd);
+
+    /**
+     * Restore files from a checkpoint after confirmation. The state being
+     * replaced is checkpointed first, so a restore can be undone the same way.
+     * @param {object} options - Options
+     * @param {string} options.repoRoot - Repository root
+     * @param {string} options.branch - Current branch
+     * @param {object} options.checkpoint - { hash, subject, timestamp }
+     * @param {Array} options.changes - Entries from getCheckpointChanges to restore
+     * @param {string[]} options.exclude - Sensitive files left out of checkpoints
+     * @param {string} options.what - Description for the prompts
+     */
+    async function restoreFromCheckpoint({ repoRoot, branch, checkpoint, changes, exclude, what }) {
+        const confirm = await vscode.window.showWarningMessage(
+            `Restore ${what} from "${checkpoint.subject}" (${new Date(checkpoint.timestamp).toLocaleString()})? The current state is saved as a checkpoint first.`,
+            { modal: true },
+            'Restore'
+        );
+        if (!confirm) return;
+
+        const safety = gitOps.createCheckpoint(repoRoot, { branch, message: 'checkpoint: before restore', exclude });
+        if (safety.error) {
+            vscode.window.showErrorMessage('Git AutoPush: Could not checkpoint the current state — nothing was restored', 'View Log')
+                .then(sel => { if (sel === 'View Log') out.show(); });
+            return;
+        }
+
+        const result = await gitOps.restoreCheckpoint(repoRoot, checkpoint.hash, changes);
+        if (!result.ok) {
+            out.appendLine(`git-autopush: restore failed: ${result.stderr.trim()}`);
+            vscode.window.showErrorMessage(`Git AutoPush: Restore failed — ${result.stderr.trim().split('\n')[0] || `exit code ${result.code}`}`);
+            return;
+        }
+
+        vscode.window.showInformationMessage(`Git AutoPush: Restored ${what} from checkpoint ${checkpoint.hash.slice(0, 7)}`);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 🔧 TOGGLE COMMANDS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Flip autoCommit as the active repository sees it. The save path and the
+     * interval scheduler read it scoped to the repository's folder, where a
+     * folder-level value wins, so that is the level changed when it is set.
+     * @param {string|null} repoRoot - Repository root
+     * @returns {Promise<boolean>} The new value
+     */
+    async function toggleRepoAutoCommit(repoRoot) {
+        const cfg = repoManager.getConfig(repoRoot);
+        const next = !cfg.get('autoCommit', false);
+        const target = repoRoot && cfg.inspect('autoCommit')?.workspaceFolderValue !== undefined
+            ? vscode.ConfigurationTarget.WorkspaceFolder
+            : vscode.ConfigurationTarget.Workspace;
+        await cfg.update('autoCommit', next, target);
+        return next;
+    }
+
+    const toggleAutoCommit = vscode.commands.registerCommand('git-autopush.toggleAutoCommit', async () => {
+        const enabled = await toggleRepoAutoCommit(repoManager.getActiveRepository());
+        uiManager.updateStatusBar();
+        vscode.window.showInformationMessage(`Auto Commit: ${enabled ? 'ON' : 'OFF'}`);
+    });
+    context.subscriptions.push(toggleAutoCommit);
+
+    const toggleAutoPush = vscode.commands.registerCommand('git-autopush.toggleAutoPush', async () => {
+        const cfg = vscode.workspace.getConfiguration('gitAutopush');
+        const cur = cfg.get('autoPush', false);
+        await cfg.update('autoPush', !cur, vscode.ConfigurationTarget.Workspace);
+        uiManager.updateStatusBar();
+        vscode.window.showInformationMessage(`Auto Push: ${!cur ? 'ON' : 'OFF'}`);
+    });
+    context.subscriptions.push(toggleAutoPush);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 🔑 SET API KEY
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const setApiKeyCmd = vscode.commands.registerCommand('git-autopush.setApiKey', async () => {
+        const { provider } = resolveProviderSettings(vscode.workspace.getConfiguration('gitAutopush'));
+
+        if (!provider.requiresKey) {
+            vscode.window.showInformationMessage(`${provider.label} does not need an API key`);
+            return;
+        }
+
+        const action = await vscode.window.showInformationMessage(
+            provider.id === 'openrouter'
+                ? 'OpenRouter API key required (free tier available)'
+                : `${provider.label} API key required`,
+            'Get API Key',
+            'Enter Key'
+        );
+
+        if (action === 'Get API Key') {
+            vscode.env.openExternal(vscode.Uri.parse(provider.keyUrl));
+            vscode.window.showInformationMessage(`Get your key from ${provider.label}, then run this command again`);
+            return;
+        }
+
+        if (action !== 'Enter Key') return;
+
+        try {
+            await keyStore.promptForKey(provider);
+        } catch (e) {
+            vscode.window.showErrorMessage('Failed to save API key: ' + e?.message);
+            out.appendLine('git-autopush: Failed to save API key: ' + e?.message);
+        }
+    });
+    context.subscriptions.push(setApiKeyCmd);
+
+    const clearApiKeyCmd = vscode.commands.registerCommand('git-autopush.clearApiKey', async () => {
+        const stored = await keyStore.getProvidersWithKeys();
+        if (stored.length === 0) {
+            vscode.window.showInformationMessage('No stored API keys');
+            return;
+        }
+
+        const items = stored.map(p => ({ label: p.label, description: p.id, providers: [p] }));
+        if (stored.length > 1) {
+            items.push({ label: 'All providers', description: `${stored.length} keys`, providers: stored });
+        }
+
+        const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Clear stored API key for...' });
+        if (!picked) return;
+
+        for (const p of picked.providers) {
+            await keyStore.deleteKey(p.id);
+        }
+        vscode.window.showInformationMessage(`Cleared stored API key: ${picked.label}`);
+    });
+    context.subscriptions.push(clearApiKeyCmd);
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 🎮 OTHER COMMANDS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    const generateMessageCmd = vscode.commands.registerCommand('git-autopush.generateMessage', async () => {
+        vscode.window.showInformationMessage('Use Ctrl+S to generate AI commit messages');
+    });
+    context.subscriptions.push(generateMessageCmd);
+
+    // Pauses save, batch and interval commits alike (they all check autoCommit)
+    const pauseCmd = vscode.commands.registerCommand('git-autopush.pause', async () => {
+        const repoRoot = repoManager.getActiveRepository();
+        const resumed = await toggleRepoAutoCommit(repoRoot);
+        uiManager.updateStatusBar();
+        const where = repoRoot && repoManager.listRepositories().length > 1 ? ` in ${repoManager.describeRepo(repoRoot)}` : '';
+        vscode.window.showInformationMessage(`Git AutoPush: ${resumed ? 'Resumed' : 'Paused'}${where}`);
+    });
+    context.subscriptions.push(pauseCmd);
+
+    const runOnceCmd = vscode.commands.registerCommand('git-autopush.runOnce', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showWarningMessage('No active editor');
+            return;
+        }
+
+        const cfg = vscode.workspace.getConfiguration('gitAutopush', editor.document.uri);
+
+        // Commit in the repository that owns the active file
+        const repoRoot = repoManager.getRepoForUri(editor.document.uri);
+        if (!repoRoot) {
+            vscode.window.showWarningMessage('Git AutoPush: Not a git repository');
+            return;
+        }
+
+        // Same path as a save: sensitive files, secrets, protected branches, the repository lock
+        const rel = path.relative(repoRoot, editor.document.uri.fsPath).split(path.sep).join('/');
+        await commitChanges({ repoRoot, config: cfg, document: editor.document, files: [rel] });
+    });
+    context.subscriptions.push(runOnceCmd);
+
+    const debugDeepseekCmd = vscode.commands.registerCommand('git-autopush.debugDeepseek', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showWarningMessage('No active editor');
+            return;
+        }
+
+        const cfg = vscode.workspace.getConfiguration('gitAutopush');
+        const { provider, baseUrl, model, apiKey, available } = await keyStore.resolveApiKey(cfg);
+
+        if (!available) {
+            vscode.window.showWarningMessage('No API key');
+            return;
+        }
+
+        out.appendLine(`Testing API connection (${provider.label}, ${model} at ${baseUrl})...`);
+        out.show(true);
+
+        const success = await aiService.testConnection({ provider, baseUrl, apiKey, model });
+        if (success) {
+            out.appendLine('✅ API connection successful!');
+            vscode.window.showInformationMessage('API connection successful!');
+        } else {
+            out.appendLine('❌ API connection failed');
+            vscode.window.showErrorMessage('API connection failed - check debug log');
+        }
+    });
+    context.subscriptions.push(debugDeepseekCmd);
+
+    const saveAndRunCmd = vscode.commands.registerCommand('git-autopush.saveAndRun', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            await vscode.commands.executeCommand('workbench.action.files.save');
+            return;
+        }
+
+        const docPath = editor.document.uri.fsPath;
+        const expires = Date.now() + 5000;
+        const nonce = Math.random().toString(36).slice(2);
+
+        await context.workspaceState.update('gitAutopush.triggeredBySaveKeyFor', { 
+            path: docPath, 
+            nonce, 
+            expires 
+        });
+        state.triggerNonces.set(docPath, nonce);
+
+        out.appendLine(`git-autopush: saveAndRun for ${docPath}`);
+        await vscode.commands.executeCommand('workbench.action.files.save');
+    });
+    context.subscriptions.push(saveAndRunCmd);
+
+    // =========================================================================
+    // PR GENERATION COMMANDS
+    // =========================================================================
+
+    const { createPRGenerator } = require('./pr-generator');
+    const prGenerator = createPRGenerator(outputChannel);
+
+    const generatePRCmd = vscode.commands.registerCommand('git-autopush.generatePR', async () => {
+        if (repoManager.listRepositories().length === 0) {
+            vscode.window.showWarningMessage('Not a git repository');
+            return;
+        }
+
+        const repoRoot = await repoManager.pickRepository({ placeHolder: 'Generate PR description for...' });
+        if (!repoRoot) return;
+
+        const cfg = repoManager.getConfig(repoRoot);
+        const defaultBaseBranch = cfg.get('pr.baseBranch', 'main');
+        const { provider, baseUrl, model, apiKey, available } = await keyStore.resolveApiKey(cfg);
+        const useEmoji = cfg.get('useEmoji', true);
+
+        if (!available) {
+            const action = await vscode.window.showWarningMessage(
+                'API key required for AI-generated PR descriptions',
+                'Set API Key',
+                'Generate Basic'
+            );
+            if (action === 'Set API Key') {
+                vscode.commands.executeCommand('git-autopush.setApiKey');
+                return;
+            }
+            if (!action) return;
+        }
+
+        // Let user select base branch
+        const baseBranch = await vscode.window.showInputBox({
+            prompt: 'Enter base branch to compare against',
+            value: defaultBaseBranch,
+            placeHolder: 'main, master, develop...'
+        });
+
+        if (!baseBranch) return;
+
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Generating PR description...",
+            cancellable: false
+        }, async (progress) => {
+            progress.report({ message: 'Analyzing commits...' });
+
+            try {
+                const result = await prGenerator.generatePRDescription(aiService, {
+                    repoRoot,
+                    baseBranch,
+                    provider,
+                    baseUrl,
+                    apiKey,
+                    model,
+                    useEmoji
+                });
+
+                if (result.error && !result.description) {
+                    vscode.window.showErrorMessage(`PR generation failed: ${result.error}`);
+                    return;
+                }
+
+                // Show result in a new document
+                const content = result.title 
+                    ? `# ${result.title}\n\n${result.description}`
+                    : result.description;
+
+                const doc = await vscode.workspace.openTextDocument({
+                    content,
+                    language: 'markdown'
+                });
+                await vscode.window.showTextDocument(doc, { preview: true });
+
+                // Offer to copy to clipboard
+                const action = await vscode.window.showInformationMessage(
+                    'PR description generated!',
+                    'Copy to Clipboard',
+                    'Close'
+                );
+
+                if (action === 'Copy to Clipboard') {
+                    await vscode.env.clipboard.writeText(content);
+                    vscode.window.showInformationMessage('PR description copied to clipboard');
+                }
+
+            } catch (e) {
+                out.appendLine(`git-autopush: PR generation error: ${e.message}`);
+                vscode.window.showErrorMessage(`PR generation failed: ${e.message}`);
+            }
+        });
+    });
+    context.subscriptions.push(generatePRCmd);
+
+    const copyPRCmd = vscode.commands.registerCommand('git-autopush.copyPRToClipboard', async () => {
+        if (repoManager.listRepositories().length === 0) {
+            vscode.window.showWarningMessage('Not a git repository');
+            return;
+        }
+
+        const repoRoot = await repoManager.pickRepository({ placeHolder: 'Generate PR description for...' });
+        if (!repoRoot) return;
+
+        const cfg = repoManager.getConfig(repoRoot);
+        const baseBranch = cfg.get('pr.baseBranch', 'main');
+        const { provider, baseUrl, model, apiKey } = await keyStore.resolveApiKey(cfg);
+        const useEmoji = cfg.get('useEmoji', true);
+
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Generating PR description...",
+            cancellable: false
+        }, async () => {
+            try {
+                const result = await prGenerator.generatePRDescription(aiService, {
+                    repoRoot,
+                    baseBranch,
+                    provider,
+                    baseUrl,
+                    apiKey,
+                    model,
+                    useEmoji
+                });
+
+                const content = result.title 
+                    ? `# ${result.title}\n\n${result.description}`
+                    : result.description;
+
+                await vscode.env.clipboard.writeText(content);
+                vscode.window.showInformationMessage('PR description copied to clipboard!');
+
+            } catch (e) {
+                out.appendLine(`git-autopush: PR copy error: ${e.message}`);
+                vscode.window.showErrorMessage(`Failed: ${e.message}`);
+            }
+        });
+    });
+    context.subscriptions.push(copyPRCmd);
+}
+
+module.exports = { registerCommands };
+
@@ -0,0 +1,187 @@
+"use strict";
+/**
+ * 📐 COMMIT CONVENTIONS MODULE
+ * Reads the conventions a repository already declares — commitlint rules
+ * and the git commit template — so generated messages follow them
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Looked up in this order, like commitlint itself; the first one found wins
+const COMMITLINT_FILES = [
+    '.commitlintrc',
+    '.commitlintrc.json',
+    '.commitlintrc.yaml',
+    '.commitlintrc.yml',
+    '.commitlintrc.js',
+    '.commitlintrc.cjs',
+    '.commitlintrc.mjs',
+    '.commitlintrc.ts',
+    'commitlint.config.js',
+    'commitlint.config.cjs',
+    'commitlint.config.mjs',
+    'commitlint.config.ts'
+];
+
+// What @commitlint/config-conventional allows when a config only extends it
+const CONFIG_CONVENTIONAL = {
+    types: ['build', 'chore', 'ci', 'docs', 'feat', 'fix', 'perf', 'refactor', 'revert', 'style', 'test'],
+    maxSubjectLength: 100
+};
+
+// Strings, numbers, words and list brackets, in JS, JSON and YAML alike
+const TOKEN_PATTERN = /'([^']*)'|"([^"]*)"|`([^`]*)`|(-?\d+)|([A-Za-z_$][\w$-]*)|([[\]])/g;
+
+// "Why:" / "Refs:" lines the template expects the message to fill in
+const SECTION_PATTERN = /^([A-Za-z][A-Za-z0-9 -]*):\s*$/;
+
+/**
+ * Read a commitlint rule without running the config file.
+ * Handles `'rule': [level, 'always', value]` in JS, JSON and YAML as long as a
+ * list value is written in brackets; variables and function calls are skipped.
+ * @param {string} text - Config file contents
+ * @param {string} name - Rule name, e.g. 'type-enum'
+ * @returns {string[]|number|null} Rule value, or null if missing, disabled or 'never'
+ */
+function extractRule(text, name) {
+    const at = text.search(new RegExp(`['"]?${name}['"]?\\s*:`));
+    if (at < 0) {
+        return null;
+    }
+    const rest = text.slice(text.indexOf(':', at) + 1);
+
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(rest)) && tokens.length < 200) {
+        const [, single, double, backtick, number, word, bracket] = match;
+        if (bracket) {
+            tokens.push({ bracket });
+        } else if (number !== undefined) {
+            tokens.push({ number: Number(number) });
+        } else {
+            tokens.push({ value: single ?? double ?? backtick ?? word });
+        }
+    }
+
+    let i = 0;
+    while (tokens[i]?.bracket === '[') i++;
+    const level = tokens[i++]?.number;
+    const applicable = tokens[i++]?.value;
+    if (!level || applicable !== 'always') {
+        return null;
+    }
+
+    const value = tokens[i];
+    if (value?.number !== undefined) {
+        return value.number;
+    }
+    if (value?.bracket !== '[') {
+        return null;
+    }
+    const list = [];
+    for (const token of tokens.slice(i + 1)) {
+        if (token.bracket) {
+            return token.bracket === ']' ? list : null;
+        }
+        if (token.number !== undefined) {
+            list.push(String(token.number));
+        } else {
+            list.push(token.value);
+        }
+    }
+    return null;
+}
+
+/**
+ * Find and parse the repository's commitlint config
+ * @param {string} repoRoot - Repository root
+ * @returns {{source: string, types: string[]|null, scopes: string[]|null, maxSubjectLength: number|null}|null}
+ */
+function readCommitlintConfig(repoRoot) {
+    let source = null;
+    let text = null;
+
+    for (const file of COMMITLINT_FILES) {
+        try {
+            text = fs.readFileSync(path.join(repoRoot, file), 'utf8');
+            source = file;
+            break;
+        } catch (e) {
+            // Not there, try the next name
+        }
+    }
+
+    if (text === null) {
+        try {
+            const pkg = JSON.parse(fs.readFileSync(path.join(repoRoot, 'package.json'), 'utf8'));
+            if (pkg.commitlint) {
+                text = JSON.stringify(pkg.commitlint);
+                source = 'package.json';
+            }
+        } catch (e) {
+            // No package.json or not valid JSON
+        }
+    }
+
+    if (text === null) {
+        return null;
+    }
+
+    const defaults = /config-conventional/.test(text) ? CONFIG_CONVENTIONAL : {};
+    const types = extractRule(text, 'type-enum');
+    const scopes = extractRule(text, 'scope-enum');
+    const headerMax = extractRule(text, 'header-max-length');
+    const subjectMax = extractRule(text, 'subject-max-length');
+
+    return {
+        source,
+        types: Array.isArray(types) && types.length ? types : (defaults.types || null),
+        scopes: Array.isArray(scopes) && scopes.length ? scopes : null,
+        maxSubjectLength: [headerMax, subjectMax].find(n => typeof n === 'number' && n > 0) || defaults.maxSubjectLength || null
+    };
+}
+
+/**
+ * Parse a git commit template
+ * @param {string} template - Template file contents
+ * @returns {{template: string, sections: string[]}|null} Template text and the section labels it asks for
+ */
+function parseTemplate(template) {
+    if (!template || !template.trim()) {
+        return null;
+    }
+    const sections = template
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .filter(line => !line.startsWith('#'))
+        .map(line => line.trim().match(SECTION_PATTERN))
+        .filter(Boolean)
+        .map(match => match[1]);
+
+    return { template: template.trim(), sections };
+}
+
+/**
+ * Load a repository's commit conventions
+ * @param {string} repoRoot - Repository root
+ * @param {string|null} template - Contents of the configured commit.template, if any
+ * @returns {{types: string[]|null, scopes: string[]|null, maxSubjectLength: number|null,
+ *   template: string|null, sections: string[], sources: string[]}}
+ */
+function loadConventions(repoRoot, template = null) {
+    const commitlint = readCommitlintConfig(repoRoot);
+    const parsed = parseTemplate(template);
+
+    return {
+        types: commitlint?.types || null,
+        scopes: commitlint?.scopes || null,
+        maxSubjectLength: commitlint?.maxSubjectLength || null,
+        template: parsed?.template || null,
+        sections: parsed?.sections || [],
+        sources: [commitlint?.source, parsed && 'commit.template'].filter(Boolean)
+    };
+}
+
+module.exports = { loadConventions };
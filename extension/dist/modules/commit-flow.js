@@ -0,0 +1,765 @@
+"use strict";
+/**
+ * 🔄 COMMIT FLOW MODULE
+ * Shared message-generation and commit execution used by the save handler
+ * and the Run Once command, so both report real git results the same way
+ */
+
+const vscode = require("vscode");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getSmartMessage, getSmartMessageWithFile, stripEmoji } = require('./message-picker');
+const { splitMessage, formatMessage } = require('./commit-message');
+const { scanDiff, compilePatterns, ALLOW_MARKER } = require('./secret-scanner');
+const { loadConventions } = require('./commit-conventions');
+const { DEFAULT_TICKET_PATTERN, compileTicketPattern, findTicket, applyTicket, ticketSubjectLength } = require('./ticket-keys');
+
+// Everything from this line down is dropped from an edited message (as with git commit --verbose)
+const SCISSORS = '# ------------------------ >8 ------------------------';
+const EDIT_HELP = [
+    SCISSORS,
+    '# Edit the commit message above (subject, body and footers).',
+    '# Save to use it; close this tab without saving to keep the previous message.'
+].join('\n');
+
+/**
+ * Creates the commit flow
+ * @param {object} deps - Dependencies
+ * @param {object} deps.statsManager - Stats manager instance
+ * @param {object} deps.aiService - AI service instance
+ * @param {object} deps.keyStore - API key store
+ * @param {object} deps.gitOps - Git operations instance
+ * @param {object} deps.uiManager - UI manager instance
+ * @param {object} deps.pushQueue - Queue of pushes to retry
+ * @param {object} deps.undoStack - Persisted list of commits that can be undone
+ * @param {object} deps.styleExamples - Samples of the repository's own commit messages
+ * @param {object} deps.pairingSession - Current pairing session (Co-authored-by trailers)
+ * @param {vscode.OutputChannel} deps.outputChannel - Output channel
+ * @param {object} deps.state - Shared state object
+ */
+function createCommitFlow(deps) {
+    const {
+        statsManager,
+        aiService,
+        keyStore,
+        gitOps,
+        uiManager,
+        pushQueue,
+        undoStack,
+        styleExamples,
+        pairingSession,
+        outputChannel,
+        state
+    } = deps;
+
+    const out = outputChannel;
+
+    /**
+     * Scan everything the commit would add for secrets. Runs before the diff
+     * is sent to the AI provider, so a blocked secret never leaves the machine.
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {string} options.repoRoot - Repository root
+     * @param {object} options.staging - { mode, files } that the commit will use
+     * @returns {boolean} true if the commit may proceed
+     */
+    function checkSecrets({ config, repoRoot, staging }) {
+        if (!config.get('secretScan.enabled', true)) {
+            return true;
+        }
+
+        const custom = compilePatterns(config.get('secretScan.customPatterns', []));
+        const allowlist = compilePatterns(config.get('secretScan.allowlist', []));
+        for (const source of [...custom.invalid, ...allowlist.invalid]) {
+            out.appendLine(`git-autopush: ignoring invalid secret scan regex: ${source}`);
+        }
+
+        // A diff that cannot be read cannot be shown to be clean
+        const staged = gitOps.readStagedDiff(repoRoot, { staging, maxLength: Infinity, unified: 0 });
+        if (!staged.ok) {
+            out.appendLine(`git-autopush: commit blocked — could not scan staged changes: ${staged.error}`);
+            vscode.window.showWarningMessage(
+                'Git AutoPush: Commit blocked — could not scan staged changes for secrets',
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+            return false;
+        }
+
+        const findings = scanDiff(staged.diff, {
+            customPatterns: custom.patterns,
+            allowlist: allowlist.patterns,
+            entropy: config.get('secretScan.entropy', true)
+        });
+
+        if (findings.length === 0) {
+            return true;
+        }
+
+        out.appendLine(`git-autopush: commit blocked — ${findings.length} possible secret(s):`);
+        for (const f of findings) {
+            out.appendLine(`git-autopush:   ${f.file}:${f.line} ${f.label} (${f.preview})`);
+        }
+        out.appendLine(`git-autopush: false positive? add a regex to gitAutopush.secretScan.allowlist or put "${ALLOW_MARKER}" on the line`);
+
+        const [first] = findings;
+        const more = findings.length > 1 ? ` (+${findings.length - 1} more)` : '';
+        vscode.window.showErrorMessage(
+            `Git AutoPush: Commit blocked — ${first.label} in ${first.file}:${first.line}${more}`,
+            'Open File',
+            'View Log'
+        ).then(async sel => {
+            if (sel === 'Open File') {
+                const doc = await vscode.workspace.openTextDocument(vscode.Uri.file(path.join(repoRoot, first.file)));
+                const pos = new vscode.Position(Math.max(first.line - 1, 0), 0);
+                await vscode.window.showTextDocument(doc, { selection: new vscode.Range(pos, pos) });
+            } else if (sel === 'View Log') {
+                out.show();
+            }
+        });
+
+        return false;
+    }
+
+    /**
+     * Whether this save should be folded into the previous commit instead of
+     * adding a new one: amend mode is on, HEAD is the extension's last commit
+     * from a save (not a revert or squash, and not the repository's first),
+     * it has not been pushed, and it was made within the amend window.
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {string} options.repoRoot - Repository root
+     * @param {object} options.staging - { mode, files } that the commit will use
+     * @returns {boolean}
+     */
+    function shouldAmend({ config, repoRoot, staging }) {
+        const last = state.lastCommitInfo;
+        if (!config.get('amend.enabled', false) || !last || !last.amendable || last.repoRoot !== repoRoot) {
+            return false;
+        }
+
+        // The window counts from the first commit, so a long session still produces several commits
+        const windowMs = Math.max(0, config.get('amend.windowSeconds', 120)) * 1000;
+        if (Date.now() - last.timestamp > windowMs) {
+            return false;
+        }
+
+        if (gitOps.getHeadCommit(repoRoot) !== last.hash || gitOps.isCommitPushed(repoRoot, last.hash)) {
+            return false;
+        }
+
+        // The amended change is described against HEAD~1, which the first commit does not have
+        if (!gitOps.hasParent(repoRoot, last.hash)) {
+            return false;
+        }
+
+        // Nothing new since the last commit — let the normal path report it
+        return gitOps.getFilesToCommit(repoRoot, staging).length > 0;
+    }
+
+    /**
+     * Generate a commit message (AI when available, smart default otherwise).
+     * With ai.reviewBeforeCommit on, the AI message is shown for review first.
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {string} options.repoRoot - Repository root
+     * @param {vscode.TextDocument|null} options.document - Document that triggered the commit (null for interval commits)
+     * @param {string} options.rel - Document path relative to the repository root
+     * @param {string[]} options.files - All saved files in this commit (batch mode), defaults to [rel]
+     * @param {object} options.staging - { mode, files } that the commit will use
+     * @param {boolean} options.promptForKey - Ask for an API key if none is stored
+     * @param {boolean} options.amend - Describe the combined change against HEAD's parent
+     * @param {boolean} options.review - Offer the review step when ai.reviewBeforeCommit is on (off for unattended commits)
+     * @returns {Promise<string|null>} Commit message, or null if the review was cancelled
+     */
+    async function generateMessage({ config, repoRoot, document, rel, files = [rel], staging, promptForKey = false, amend = false, review = true }) {
+        const useEmoji = config.get('useEmoji', true);
+        const isMultiFile = files.length > 1;
+        const filePath = document ? document.uri.fsPath : path.join(repoRoot, rel);
+
+        const ticket = ticketFormatter({ config, repoRoot });
+
+        // Smart contextual message used whenever AI is off or fails
+        const fallback = ticket.apply(isMultiFile
+            ? getSmartMessage(filePath, { useEmoji, isMultiFile })
+            : getSmartMessageWithFile(filePath, { useEmoji }));
+
+        const ai = await resolveAI({ config, promptForKey });
+        if (!ai) {
+            return fallback;
+        }
+
+        const generateWithAI = async () => ticket.apply(await generateAIMessage({ config, repoRoot, document, rel, files, staging, ai, useEmoji, amend, subjectRoom: ticket.subjectRoom }));
+
+        const message = (await generateWithAI()) || fallback;
+
+        if (!review || !config.get('ai.reviewBeforeCommit', true)) {
+            return message;
+        }
+
+        return reviewMessage({ message, fallback, regenerate: generateWithAI });
+    }
+
+    /**
+     * Resolve the AI provider and key, or null when AI messages are off or unavailable
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {boolean} options.promptForKey - Ask for an API key if none is stored
+     * @returns {Promise<object|null>} keyStore.resolveApiKey result
+     */
+    async function resolveAI({ config, promptForKey }) {
+        const aiEnabled = config.get('ai.enabled', true);
+        const generate = config.get('ai.generateCommitMessage', true);
+
+        if (!aiEnabled || !generate) {
+            return null;
+        }
+
+        let ai;
+        try {
+            // Resolve key (optionally prompts once if missing)
+            ai = await keyStore.resolveApiKey(config, { prompt: promptForKey });
+        } catch (e) {
+            out.appendLine(`git-autopush: AI error: ${e?.message || e}`);
+            return null;
+        }
+
+        out.appendLine(`git-autopush: AI config - provider=${ai.provider.id}, hasKey=${!!ai.apiKey}, model=${ai.model}`);
+
+        return ai.available ? ai : null;
+    }
+
+    /**
+     * Ticket pattern from the settings, or null (logged) when it is not a valid regex
+     * @param {object} config - gitAutopush configuration
+     * @returns {RegExp|null}
+     */
+    function getTicketPattern(config) {
+        const source = config.get('ticket.pattern', DEFAULT_TICKET_PATTERN);
+        const pattern = compileTicketPattern(source);
+        if (source && !pattern) {
+            out.appendLine(`git-autopush: ignoring invalid ticket pattern: ${source}`);
+        }
+        return pattern;
+    }
+
+    /**
+     * Adds the current branch's ticket key to messages (gitAutopush.ticket.placement);
+     * messages pass through unchanged when it is off or the branch name has no key
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {string} options.repoRoot - Repository root
+     * @returns {{apply: (message: string) => string, subjectRoom: number}} apply adds the key;
+     *   subjectRoom is how many characters it adds to the subject line
+     */
+    function ticketFormatter({ config, repoRoot }) {
+        const unchanged = { apply: (message) => message, subjectRoom: 0 };
+        const placement = config.get('ticket.placement', 'off');
+        if (placement === 'off') {
+            return unchanged;
+        }
+
+        const branch = gitOps.getCurrentBranch(repoRoot) || '';
+        const ticket = findTicket(branch, getTicketPattern(config));
+        if (!ticket) {
+            out.appendLine(`git-autopush: no ticket key in branch '${branch}'`);
+            return unchanged;
+        }
+
+        const options = {
+            placement,
+            subjectFormat: config.get('ticket.subjectFormat', '{subject} ({ticket})'),
+            trailerFormat: config.get('ticket.trailerFormat', 'Refs: {ticket}')
+        };
+        return {
+            apply: (message) => applyTicket(message, ticket, options),
+            subjectRoom: ticketSubjectLength(ticket, options)
+        };
+    }
+
+    /**
+     * With gitAutopush.ticket.required on, refuse messages that reference no ticket:
+     * the branch's key when its name has one, any key matching the pattern otherwise
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {string} options.repoRoot - Repository root
+     * @param {string} options.message - Final commit message
+     * @returns {boolean} true if the commit may proceed
+     */
+    function checkTicket({ config, repoRoot, message }) {
+        if (!config.get('ticket.required', false)) {
+            return true;
+        }
+        const pattern = getTicketPattern(config);
+        const ticket = findTicket(gitOps.getCurrentBranch(repoRoot) || '', pattern);
+        if (ticket ? message.includes(ticket) : findTicket(message, pattern)) {
+            return true;
+        }
+
+        out.appendLine('git-autopush: commit blocked — the message references no ticket (ticket.required)');
+        vscode.window.showErrorMessage(
+            'Git AutoPush: Commit blocked — the message needs a ticket key. Use a branch named after the ticket (e.g. feature/PROJ-123-login) or add the key when reviewing the message.',
+            'Open Settings'
+        ).then(sel => {
+            if (sel === 'Open Settings') {
+                vscode.commands.executeCommand('workbench.action.openSettings', 'gitAutopush.ticket');
+            }
+        });
+        return false;
+    }
+
+    /**
+     * Trailers for every commit the extension makes: Signed-off-by (trailers.signOff),
+     * the custom ones (trailers.custom) and Co-authored-by for the pairing session
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {string} options.repoRoot - Repository root
+     * @returns {string[]} "Token: value" lines
+     */
+    function getTrailers({ config, repoRoot }) {
+        const trailers = [];
+
+        if (config.get('trailers.signOff', false)) {
+            const identity = gitOps.getUserIdentity(repoRoot);
+            if (identity) {
+                trailers.push(`Signed-off-by: ${identity.name} <${identity.email}>`);
+            } else {
+                out.appendLine('git-autopush: trailers.signOff is on but user.name/user.email are not set — no Signed-off-by');
+            }
+        }
+
+        for (const [token, value] of Object.entries(config.get('trailers.custom', {}) || {})) {
+            if (/^[A-Za-z][A-Za-z0-9-]*$/.test(token) && String(value).trim()) {
+                trailers.push(`${token}: ${String(value).trim()}`);
+            } else {
+                out.appendLine(`git-autopush: ignoring invalid trailer "${token}"`);
+            }
+        }
+
+        return [...trailers, ...pairingSession.getTrailers()];
+    }
+
+    /**
+     * Generate the message for a squash of base..HEAD from the combined diff and
+     * the original subjects. Squashing is explicit, so the message is always reviewed.
+     * @param {object} options - Options
+     * @param {object} options.config - gitAutopush configuration
+     * @param {string} options.repoRoot - Repository root
+     * @param {string} options.base - Parent of the oldest squashed commit
+     * @param {string[]} options.subjects - Subjects of the squashed commits, oldest first
+     * @returns {Promise<string|null>} Commit message, or null if the review was cancelled
+     */
+    async function generateSquashMessage({ config, repoRoot, base, subjects }) {
+        const useEmoji = config.get('useEmoji', true);
+        const files = gitOps.getRangeFiles(repoRoot, base);
+        const isMultiFile = files.length > 1;
+        const ticket = ticketFormatter({ config, repoRoot });
+
+        // Without AI: the smart default as subject, the original subjects as body
+        const fallback = ticket.apply(formatMessage({
+            subject: getSmartMessage(path.join(repoRoot, files[0]), { useEmoji, isMultiFile }),
+            body: subjects.map(s => `- ${s}`).join('\n')
+        }));
+
+        const ai = await resolveAI({ config, promptForKey: true });
+        const generateWithAI = ai
+            ? async () => ticket.apply(await generateAIMessage({ config, repoRoot, document: null, rel: files[0], files, ai, useEmoji, diffText: gitOps.getRangeDiff(repoRoot, base), subjects, subjectRoom: ticket.subjectRoom }))
+            : async () => '';
+
+        const message = (await generateWithAI()) || fallback;
+        return reviewMessage({ message, fallback, regenerate: generateWithAI });
+    }
+
+    /**
+     * Ask the AI for a message describing exactly what will be committed
+     * @param {object} options - generateMessage options plus the resolved AI settings
+     *   (diffText and subjects are passed in for squashes instead of reading the staged diff;
+     *   subjectRoom keeps the subject short enough for the ticket key added afterwards)
+     * @returns {Promise<string>} Generated message, or empty string on failure
+     */
+    async function generateAIMessage({ config, repoRoot, document, rel, files, staging, ai, useEmoji, amend, diffText: presetDiff, subjects = [], subjectRoom = 0 }) {
+        out.appendLine(`git-autopush: generating AI message with ${ai.model}...`);
+
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Generating commit message...",
+            cancellable: false
+        }, async () => {
+            try {
+                // Get diff of exactly what will be committed (an amend replaces HEAD, so diff against its parent)
+                let diffText = presetDiff ?? gitOps.getStagedDiff(repoRoot, { staging, base: amend ? 'HEAD~1' : null });
+                if (!diffText && staging) {
+                    diffText = gitOps.getFileDiff(repoRoot, rel, staging);
+                }
+                if (!diffText && document) {
+                    diffText = document.getText().slice(0, 2000);
+                }
+
+                // commitlint rules and commit.template, read fresh so edits apply to the next commit
+                const conventions = loadConventions(repoRoot, gitOps.getCommitTemplate(repoRoot));
+                if (conventions.sources.length > 0) {
+                    out.appendLine(`git-autopush: following ${conventions.sources.join(' + ')}`);
+                }
+
+                // Generate message via AI with intelligent context
+                let generated = await aiService.generateCommitMessage({
+                    provider: ai.provider,
+                    baseUrl: ai.baseUrl,
+                    apiKey: ai.apiKey,
+                    model: ai.model,
+                    diffText,
+                    fileName: files.join(', '),
+                    useEmoji,
+                    commitStyle: config.get('ai.commitStyle', 'auto'),
+                    conventionalCommits: config.get('ai.conventionalCommits', true),
+                    includeScope: config.get('ai.includeScope', true),
+                    subjects,
+                    conventions,
+                    subjectRoom,
+                    styleExamples: styleExamples.getExamples(repoRoot, {
+                        count: config.get('ai.styleExamples.count', 10),
+                        excludeOwn: config.get('ai.styleExamples.excludeOwnCommits', true)
+                    }),
+                    // A squash diff ends at HEAD; everything else ends in the working tree
+                    readFile: presetDiff === undefined
+                        ? (file) => fs.readFileSync(path.join(repoRoot, file), 'utf8')
+                        : (file) => gitOps.getFileAtCommit(repoRoot, 'HEAD', file),
+                    contextTokens: config.get('ai.contextTokens', 0)
+                });
+
+                // Force strip emoji if setting is off (AI doesn't always follow instructions)
+                if (generated && !useEmoji) {
+                    generated = stripEmoji(generated);
+                }
+
+                if (generated) {
+                    out.appendLine(`git-autopush: using: ${generated}`);
+                }
+                return generated || '';
+
+            } catch (err) {
+                out.appendLine(`git-autopush: AI failed: ${err?.message || err}`);
+                return '';
+            }
+        });
+    }
+
+    /**
+     * Let the user accept, edit, regenerate or replace the message before committing
+     * @param {object} options - Options
+     * @param {string} options.message - Proposed message
+     * @param {string} options.fallback - Smart default message
+     * @param {Function} options.regenerate - Returns a fresh AI message (empty on failure)
+     * @returns {Promise<string|null>} Final message, or null if cancelled
+     */
+    async function reviewMessage({ message, fallback, regenerate }) {
+        while (true) {
+            const { subject, body, footers } = splitMessage(message);
+            const details = formatMessage({ subject: '', body, footers });
+
+            const picked = await vscode.window.showQuickPick([
+                { label: '$(check) Accept', description: subject, detail: details || undefined, action: 'accept' },
+                { label: '$(edit) Edit', description: 'Edit the full message in an editor', action: 'edit' },
+                { label: '$(refresh) Regenerate', description: 'Ask the AI again', action: 'regenerate' },
+                { label: '$(history) Use fallback', description: fallback, action: 'fallback' }
+            ], {
+                title: 'Git AutoPush: Review commit message',
+                placeHolder: subject,
+                ignoreFocusOut: true
+            });
+
+            if (!picked) {
+                out.appendLine('git-autopush: commit cancelled during message review');
+                return null;
+            }
+
+            switch (picked.action) {
+                case 'accept':
+                    return message;
+
+                case 'fallback':
+                    return fallback;
+
+                case 'edit': {
+                    const edited = await editMessage(message);
+                    if (edited) {
+                        message = edited;
+                    } else if (edited === '') {
+                        vscode.window.showWarningMessage('Git AutoPush: Commit message cannot be empty — keeping the previous one');
+                    }
+                    break;
+                }
+
+                case 'regenerate': {
+                    const regenerated = await regenerate();
+                    if (regenerated) {
+                        message = regenerated;
+                    } else {
+                        vscode.window.showWarningMessage('Git AutoPush: Could not regenerate the message — keeping the previous one');
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Open the message in a COMMIT_EDITMSG editor. Saving accepts the edit;
+     * closing the tab (or Cancel on the notification) keeps the old message.
+     * @param {string} message - Message to edit
+     * @returns {Promise<string|null>} Edited message ('' if emptied), or null if cancelled
+     */
+    async function editMessage(message) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-autopush-'));
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        fs.writeFileSync(file, `${message}\n\n${EDIT_HELP}\n`);
+
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(file));
+            await vscode.window.showTextDocument(document, { preview: false });
+
+            const text = await new Promise((resolve) => {
+                const isOurs = (doc) => doc.uri.fsPath === file;
+                const finish = (value) => {
+                    subscriptions.forEach(s => s.dispose());
+                    resolve(value);
+                };
+                const subscriptions = [
+                    vscode.workspace.onDidSaveTextDocument(doc => isOurs(doc) && finish(doc.getText())),
+                    vscode.workspace.onDidCloseTextDocument(doc => isOurs(doc) && finish(null))
+                ];
+
+                // Closing a tab does not always close the document right away, so offer explicit buttons too
+                vscode.window.showInformationMessage(
+                    'Git AutoPush: Edit the commit message, then save it to use it.',
+                    'Use Message',
+                    'Cancel'
+                ).then(sel => {
+                    if (sel === 'Use Message') finish(document.getText());
+                    else if (sel === 'Cancel') finish(null);
+                });
+            });
+
+            if (vscode.window.activeTextEditor?.document.uri.fsPath === file) {
+                await vscode.commands.executeCommand('workbench.action.revertAndCloseActiveEditor');
+            }
+            if (text === null) {
+                return null;
+            }
+
+            const scissors = text.indexOf(SCISSORS);
+            const { subject, body, footers } = splitMessage((scissors >= 0 ? text.slice(0, scissors) : text).trim());
+            return subject ? formatMessage({ subject, body, footers }) : '';
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Run the commit (and optional push) and report the real outcome.
+     * Stats, undo info and the status bar only change after git succeeds.
+     * @param {object} options - Options
+     * @param {string} options.repoRoot - Repository root
+     * @param {string} options.message - Commit message
+     * @param {string} options.branch - Current branch
+     * @param {boolean} options.push - Whether to push after committing
+     * @param {object} options.staging - { mode, files } (see StagingMode)
+     * @param {string} options.remote - Preferred remote for branches without an upstream ('' for automatic)
+     * @param {boolean} options.dryRun - Log the commands without running them
+     * @param {boolean} options.amend - Amend the extension's last commit (see shouldAmend)
+     * @param {string[]} options.trailers - Trailer lines to append (see getTrailers)
+     * @returns {Promise<object|null>} executeCommit result, or null for dry runs
+     */
+    async function commit({ repoRoot, message, branch, push, staging, remote = '', dryRun, amend = false, trailers = [] }) {
+        const preview = gitOps.buildCommitCommand({ repoRoot, message, branch, push, staging, remote, amend, trailers });
+        out.appendLine(`git-autopush: ${preview}`);
+
+        if (dryRun) {
+            out.appendLine('git-autopush: dry run — not executing');
+            out.show(true);
+            return null;
+        }
+
+        const amendedHash = amend ? gitOps.getHeadCommit(repoRoot) : null;
+        const result = await gitOps.executeCommit({ repoRoot, message, branch, push, staging, remote, amend, trailers });
+
+        if (result.nothingToCommit) {
+            vscode.window.showInformationMessage('Git AutoPush: Nothing to commit');
+            return result;
+        }
+
+        if (!result.committed) {
+            vscode.window.showErrorMessage(
+                `Git AutoPush: Commit failed — ${firstLine(result.error)}`,
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+            return result;
+        }
+
+        // Update stats and store commit info for undo. An amend is still the
+        // same commit: it keeps its original timestamp and undo entry.
+        let stats;
+        if (amend) {
+            stats = statsManager.getStats();
+            state.lastCommitInfo = { ...state.lastCommitInfo, hash: result.hash, message };
+            await undoStack.replace(amendedHash, result.hash, message);
+        } else {
+            stats = await statsManager.updateStats(message);
+            state.lastCommitInfo = {
+                hash: result.hash,
+                message,
+                repoRoot,
+                timestamp: Date.now(),
+                amendable: true
+            };
+            await undoStack.record({ repoRoot, hash: result.hash, message, branch, amendable: true });
+        }
+
+        if (push && result.pushRejected) {
+            offerRebase({ repoRoot, branch, pushTarget: result.pushTarget, committed: true });
+        } else if (push && !result.pushed && result.pushTarget) {
+            // Network, VPN or auth trouble — keep the push and retry later
+            pushQueue.enqueue({ repoRoot, branch, remote, error: result.error });
+            vscode.window.showWarningMessage(
+                `Git AutoPush: Committed, but push failed — queued for retry (${firstLine(result.error)})`,
+                'Push Pending',
+                'View Log'
+            ).then(sel => {
+                if (sel === 'Push Pending') {
+                    vscode.commands.executeCommand('git-autopush.pushPending');
+                } else if (sel === 'View Log') {
+                    out.show();
+                }
+            });
+        } else if (push && !result.pushed) {
+            vscode.window.showWarningMessage(
+                `Git AutoPush: Committed, but push failed — ${firstLine(result.error)}`,
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+        } else {
+            const verb = amend ? 'Amended previous commit' : 'Committed';
+            const action = push ? `${verb} & pushed to ${describeTarget(result.pushTarget)}` : verb;
+            vscode.window.showInformationMessage(
+                `$(git-commit) ${action} · ${stats.todayCommits} today · ${stats.streak}d streak`,
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+        }
+
+        uiManager.refreshAheadCount(repoRoot);
+        return result;
+    }
+
+    /**
+     * Tell the user a push was rejected and offer to rebase and retry
+     * @param {object} options - Options
+     * @param {string} options.repoRoot - Repository root
+     * @param {string} options.branch - Local branch
+     * @param {object} options.pushTarget - Where the rejected push went
+     * @param {boolean} options.committed - Whether a commit was just made
+     */
+    function offerRebase({ repoRoot, branch, pushTarget, committed = false }) {
+        const target = `${pushTarget.remote}/${pushTarget.remoteBranch}`;
+        vscode.window.showWarningMessage(
+            `Git AutoPush: ${committed ? 'Committed, but push' : 'Push'} to ${target} was rejected — the remote has new commits`,
+            'Pull --rebase & Push',
+            'View Log'
+        ).then(sel => {
+            if (sel === 'Pull --rebase & Push') {
+                rebaseAndPush({ repoRoot, branch, pushTarget });
+            } else if (sel === 'View Log') {
+                out.show();
+            }
+        });
+    }
+
+    /**
+     * Rebase the rejected commits onto the remote branch and push them again
+     * @param {object} options - Options
+     * @param {string} options.repoRoot - Repository root
+     * @param {string} options.branch - Local branch
+     * @param {object} options.pushTarget - Where the rejected push went
+     */
+    async function rebaseAndPush({ repoRoot, branch, pushTarget }) {
+        const target = `${pushTarget.remote}/${pushTarget.remoteBranch}`;
+
+        // pull --rebase works on the checked-out branch only
+        if (gitOps.getCurrentBranch(repoRoot) !== branch) {
+            vscode.window.showWarningMessage(`Git AutoPush: Check out '${branch}' to rebase it onto ${target}`);
+            return;
+        }
+
+        const retry = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Rebasing onto ${target}...`,
+            cancellable: false
+        }, () => gitOps.pullRebaseAndPush(repoRoot, branch, pushTarget));
+
+        // Rebasing rewrites every unpushed commit, so undo has to follow the new hashes
+        for (const { oldHash, newHash } of retry.rewritten) {
+            if (state.lastCommitInfo && state.lastCommitInfo.hash === oldHash) {
+                state.lastCommitInfo.hash = newHash;
+            }
+            await undoStack.replace(oldHash, newHash);
+        }
+        const dropped = new Set(retry.dropped);
+        const lost = undoStack.getEntries(repoRoot).filter(e => dropped.has(e.hash));
+        if (lost.length > 0) {
+            await undoStack.remove(lost.map(e => e.hash));
+            if (state.lastCommitInfo && dropped.has(state.lastCommitInfo.hash)) {
+                state.lastCommitInfo = undoStack.getEntries()[0] || null;
+            }
+            out.appendLine(`git-autopush: ${lost.length} commit(s) no longer on ${branch} after the rebase, removed from undo history`);
+            vscode.window.showWarningMessage(
+                `Git AutoPush: ${lost.length} of your commit(s) had no match after rebasing onto ${target} (already upstream?) and can no longer be undone from the extension.`,
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+        }
+
+        if (retry.ok) {
+            vscode.window.showInformationMessage(`$(git-commit) Rebased onto ${target} and pushed`);
+        } else if (retry.conflict) {
+            vscode.window.showErrorMessage(
+                `Git AutoPush: Rebase onto ${target} hit conflicts and was aborted. Your commit is still local — pull and resolve manually.`,
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+        } else {
+            vscode.window.showErrorMessage(
+                `Git AutoPush: Retry failed — ${firstLine(retry.error)}`,
+                'View Log'
+            ).then(sel => { if (sel === 'View Log') out.show(); });
+        }
+
+        uiManager.refreshAheadCount(repoRoot);
+    }
+
+    return {
+        checkSecrets,
+        checkTicket,
+        getTrailers,
+        shouldAmend,
+        generateSquashMessage,
+        generateMessage,
+        commit,
+        offerRebase
+    };
+}
+
+/**
+ * "origin/main (upstream set)" style description of a push target
+ * @param {object} pushTarget - Result of getPushTarget
+ * @returns {string}
+ */
+function describeTarget({ remote, remoteBranch, setUpstream }) {
+    return `${remote}/${remoteBranch}${setUpstream ? ' (upstream set)' : ''}`;
+}
+
+/**
+ * First non-empty line of a (possibly multi-line) git error
+ * @param {string} text - Error text
+ * @returns {string}
+ */
+function firstLine(text) {
+    return (text || '').split('\n').map(l => l.trim()).find(l => l) || 'unknown error';
+}
+
+module.exports = { createCommitFlow };
@@ -0,0 +1,111 @@
+"use strict";
+/**
+ * ✉️ COMMIT MESSAGE MODULE
+ * Splits commit messages into subject, body and footers (trailers,
+ * BREAKING CHANGE notes) and puts them back together in git's layout
+ */
+
+// "Token: value" trailers (Signed-off-by, Refs, ...) and conventional-commit breaking notes
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[A-Za-z][A-Za-z0-9-]*): \S|^[A-Za-z][A-Za-z0-9-]* #\S/;
+
+/**
+ * Whether a line looks like a commit footer
+ * @param {string} line - Single message line
+ * @returns {boolean}
+ */
+function isFooterLine(line) {
+    return FOOTER_PATTERN.test(line);
+}
+
+/**
+ * Split a message into its parts. The last paragraph counts as footers
+ * only when every line in it is a footer line.
+ * @param {string} message - Full commit message
+ * @returns {{subject: string, body: string, footers: string[]}}
+ */
+function splitMessage(message) {
+    const lines = (message || '').replace(/\r\n?/g, '\n').split('\n');
+
+    while (lines.length && !lines[0].trim()) lines.shift();
+    const subject = (lines.shift() || '').trim();
+
+    const paragraphs = [];
+    let current = [];
+    for (const line of lines) {
+        if (line.trim()) {
+            current.push(line.trimEnd());
+        } else if (current.length) {
+            paragraphs.push(current);
+            current = [];
+        }
+    }
+    if (current.length) {
+        paragraphs.push(current);
+    }
+
+    let footers = [];
+    const last = paragraphs[paragraphs.length - 1];
+    if (last && last.every(isFooterLine)) {
+        footers = paragraphs.pop();
+    }
+
+    return {
+        subject,
+        body: paragraphs.map(p => p.join('\n')).join('\n\n'),
+        footers
+    };
+}
+
+/**
+ * Join message parts with the blank lines git expects
+ * @param {object} parts - Message parts
+ * @param {string} parts.subject - Subject line
+ * @param {string} parts.body - Body text (may be empty)
+ * @param {string[]} parts.footers - Footer lines (may be empty)
+ * @returns {string}
+ */
+function formatMessage({ subject, body = '', footers = [] }) {
+    return [subject, body, footers.join('\n')]
+        .map(part => (part || '').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * First line of a commit message, for history lists and confirmations
+ * @param {string} message - Full commit message
+ * @returns {string}
+ */
+function getSubject(message) {
+    return splitMessage(message).subject;
+}
+
+/**
+ * Append trailers (Signed-off-by, Co-authored-by, ...) the message does not carry yet
+ * @param {string} message - Commit message
+ * @param {string[]} trailers - "Token: value" lines
+ * @returns {string}
+ */
+function addTrailers(message, trailers = []) {
+    if (trailers.length === 0) {
+        return message;
+    }
+    const { subject, body, footers } = splitMessage(message);
+    const present = new Set(footers.map(f => f.toLowerCase()));
+    const added = [];
+    for (const trailer of trailers) {
+        if (!present.has(trailer.toLowerCase())) {
+            present.add(trailer.toLowerCase());
+            added.push(trailer);
+        }
+    }
+    return added.length > 0 ? formatMessage({ subject, body, footers: [...footers, ...added] }) : message;
+}
+
+module.exports = {
+    isFooterLine,
+    splitMessage,
+    formatMessage,
+    getSubject,
+    addTrailers
+};
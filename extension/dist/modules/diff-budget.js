@@ -0,0 +1,214 @@
+"use strict";
+/**
+ * 💰 DIFF BUDGET MODULE
+ * Fits a diff into the model's context: source files first, lockfiles and
+ * generated files last, whole hunks only, and a name-and-stats line for
+ * every file that did not fit
+ */
+
+const { splitDiff } = require('./diff-parser');
+
+// Rough size of a token; good enough for code and English across tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Kept free for the system prompt, style examples, file breakdown and the answer
+const RESERVED_TOKENS = 2000;
+
+// Share of the remaining context the diff may use, and absolute bounds
+const DIFF_SHARE = 0.75;
+const MIN_DIFF_TOKENS = 1000;
+const MAX_DIFF_TOKENS = 24000;
+
+// Files noted by name under the diff before the rest are only counted, and
+// room for the heading above the notes
+const MAX_NOTED_FILES = 20;
+const NOTES_HEADING_TOKENS = 25;
+
+// Lockfiles, build output, minified bundles and other machine-written files
+const GENERATED_FILE = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|cargo\.lock|go\.sum|poetry\.lock|pipfile\.lock|composer\.lock|gemfile\.lock)$|\.min\.(js|css)$|\.map$|\.snap$|(^|\/)(vendor|node_modules|__generated__|generated)\/|\.(pb|generated)\.\w+$/i;
+const DOCS_FILE = /\.(md|mdx|rst|adoc|txt)$|(^|\/)docs?\//i;
+const SUPPORTING_FILE = /(^|\/)(__tests__|tests?|specs?)\/|\.(test|spec)\.\w+$|_test\.(go|py)$|\.(json|ya?ml|toml|ini|xml|lock)$/i;
+
+/**
+ * Estimated token count of a text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens the diff may use for a model with the given context window
+ * @param {number} contextTokens - Model context window
+ * @returns {number}
+ */
+function getDiffBudget(contextTokens) {
+    const available = Math.floor((contextTokens - RESERVED_TOKENS) * DIFF_SHARE);
+    return Math.min(MAX_DIFF_TOKENS, Math.max(MIN_DIFF_TOKENS, available));
+}
+
+/**
+ * Priority of a file in the budget: 0 source, 1 tests and config, 2 docs, 3 generated
+ * @param {string} file - Path
+ * @returns {number}
+ */
+function filePriority(file) {
+    const normalized = (file || '').replace(/\\/g, '/');
+    if (GENERATED_FILE.test(normalized)) return 3;
+    if (DOCS_FILE.test(normalized)) return 2;
+    if (SUPPORTING_FILE.test(normalized)) return 1;
+    return 0;
+}
+
+/**
+ * Added and removed line counts of a file's hunks
+ * @param {Array} hunks - Hunks from parseHunks
+ * @returns {{linesAdded: number, linesRemoved: number}}
+ */
+function countLines(hunks) {
+    let linesAdded = 0;
+    let linesRemoved = 0;
+    for (const hunk of hunks) {
+        for (const line of hunk.lines) {
+            if (line[0] === '+') linesAdded++;
+            else if (line[0] === '-') linesRemoved++;
+        }
+    }
+    return { linesAdded, linesRemoved };
+}
+
+/**
+ * One line per file the budget cut, at most MAX_NOTED_FILES plus a count of the rest
+ * @param {Array} partial - Files with some hunks left out
+ * @param {Array} omitted - Files left out entirely
+ * @param {number} maxTokens - Tokens the lines may use
+ * @returns {string[]}
+ */
+function formatNotes(partial, omitted, maxTokens) {
+    const all = [
+        ...partial.map(p => p.hunksShown > 0
+            ? `- ${p.file}: ${p.hunksShown} of ${p.hunksTotal} hunks shown`
+            : `- ${p.file}: only the start of the first hunk shown`),
+        ...omitted.map(o => `- ${o.file} (${o.status}, +${o.linesAdded} -${o.linesRemoved})`)
+    ];
+
+    const notes = [];
+    let used = 0;
+    for (const note of all.slice(0, MAX_NOTED_FILES)) {
+        used += estimateTokens(note + '\n');
+        if (used > maxTokens) break;
+        notes.push(note);
+    }
+    if (notes.length < all.length) {
+        notes.push(`- ... and ${all.length - notes.length} more file(s)`);
+    }
+    return notes;
+}
+
+/**
+ * Fit a diff into a token budget, including the notes on what was left out
+ * @param {string} diffText - Full git diff
+ * @param {number} budgetTokens - Tokens the diff and its notes may use
+ * @returns {{text: string, omitted: Array, partial: Array, notes: string[]}} The diff to send; omitted lists
+ *   files left out entirely ({ file, status, linesAdded, linesRemoved }), partial those with some hunks left
+ *   out ({ file, hunksShown, hunksTotal }; hunksShown 0 means only the start of the first hunk), notes one
+ *   line per cut file for the prompt (capped, so large diffs do not fill the context with file names)
+ */
+function budgetDiff(diffText, budgetTokens) {
+    const result = { text: diffText || '', omitted: [], partial: [], notes: [] };
+    if (estimateTokens(diffText) <= budgetTokens) {
+        return result;
+    }
+
+    const files = splitDiff(diffText);
+    if (files.length === 0) {
+        // Not a git diff (e.g. file content): keep whole lines up to the budget
+        const lines = [];
+        let used = 0;
+        for (const line of diffText.split('\n')) {
+            used += estimateTokens(line + '\n');
+            if (used > budgetTokens) break;
+            lines.push(line);
+        }
+        result.text = lines.join('\n') + '\n...(truncated)';
+        return result;
+    }
+
+    // Room for the notes on files that are cut: the longest possible ones, never more than half the budget
+    const noteCosts = files
+        .map(f => estimateTokens(`- ${f.file}: only the start of the first hunk shown\n`))
+        .sort((a, b) => b - a)
+        .slice(0, MAX_NOTED_FILES);
+    const notesTokens = Math.min(
+        Math.floor(budgetTokens / 2),
+        NOTES_HEADING_TOKENS + noteCosts.reduce((sum, cost) => sum + cost, 0) + (files.length > MAX_NOTED_FILES ? estimateTokens('- ... and 0000 more file(s)\n') : 0)
+    );
+    let remaining = budgetTokens - notesTokens;
+    const order = files
+        .map((file, index) => ({ file, index, priority: filePriority(file.file) }))
+        .sort((a, b) => a.priority - b.priority || a.index - b.index);
+
+    // index → hunks chosen for that file
+    const chosen = new Map();
+    for (const { file, index } of order) {
+        const lines = file.text.split('\n');
+        const firstHunk = lines.findIndex(line => line.startsWith('@@'));
+        const preamble = (firstHunk < 0 ? lines : lines.slice(0, firstHunk)).join('\n');
+        const hunkTexts = file.hunks.map(h => [`@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@${h.header ? ' ' + h.header : ''}`, ...h.lines].join('\n'));
+
+        let cost = estimateTokens(preamble + '\n');
+        if (cost > remaining) {
+            continue;
+        }
+        const picked = [];
+        for (let i = 0; i < hunkTexts.length; i++) {
+            const hunkCost = estimateTokens(hunkTexts[i] + '\n');
+            if (cost + hunkCost <= remaining) {
+                picked.push(i);
+                cost += hunkCost;
+            }
+        }
+        if (picked.length === 0 && hunkTexts.length > 0) {
+            continue;
+        }
+        remaining -= cost;
+        chosen.set(index, { preamble, hunks: picked.map(i => hunkTexts[i]) });
+        if (picked.length < hunkTexts.length) {
+            result.partial.push({ file: file.file, hunksShown: picked.length, hunksTotal: hunkTexts.length });
+        }
+    }
+
+    // Not even one whole hunk fits: show the start of the most important one rather than nothing
+    if (chosen.size === 0) {
+        const { file, index } = order[0];
+        const lines = [];
+        let used = 0;
+        for (const line of file.text.split('\n')) {
+            used += estimateTokens(line + '\n');
+            if (used > remaining) break;
+            lines.push(line);
+        }
+        chosen.set(index, { preamble: lines.join('\n') + '\n...(hunk truncated)', hunks: [] });
+        result.partial.push({ file: file.file, hunksShown: 0, hunksTotal: file.hunks.length });
+    }
+
+    const parts = [];
+    files.forEach((file, index) => {
+        const kept = chosen.get(index);
+        if (kept) {
+            parts.push([kept.preamble, ...kept.hunks].join('\n'));
+        } else {
+            result.omitted.push({ file: file.file, status: file.status, ...countLines(file.hunks) });
+        }
+    });
+    result.text = parts.join('\n');
+    result.notes = formatNotes(result.partial, result.omitted, notesTokens - NOTES_HEADING_TOKENS);
+    return result;
+}
+
+module.exports = {
+    estimateTokens,
+    getDiffBudget,
+    budgetDiff
+};
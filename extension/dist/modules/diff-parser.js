@@ -0,0 +1,132 @@
+"use strict";
+/**
+ * 🧩 DIFF PARSER MODULE
+ * Splits unified git diffs into files and hunks for the analyzers
+ */
+
+// @@ -oldStart,oldLines +newStart,newLines @@ function context
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Path from a ---/+++ line or a diff --git header half, without the a/ b/ prefix
+ * @param {string} raw - Path as git printed it (possibly quoted)
+ * @returns {string|null} null for /dev/null
+ */
+function cleanPath(raw) {
+    let value = (raw || '').trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+        value = value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+    }
+    if (value === '/dev/null') {
+        return null;
+    }
+    return value.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse the hunks of one file's diff
+ * @param {string[]} lines - Lines of the file's diff section
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, header: string, lines: string[]}>}
+ */
+function parseHunks(lines) {
+    const hunks = [];
+    let current = null;
+
+    for (const line of lines) {
+        const match = line.match(HUNK_HEADER);
+        if (match) {
+            current = {
+                oldStart: Number(match[1]),
+                oldLines: match[2] === undefined ? 1 : Number(match[2]),
+                newStart: Number(match[3]),
+                newLines: match[4] === undefined ? 1 : Number(match[4]),
+                header: match[5] || '',
+                lines: []
+            };
+            hunks.push(current);
+        } else if (current && /^[ +\-\\]/.test(line)) {
+            current.lines.push(line);
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * What happened to a file, from its diff preamble
+ * @param {string[]} preamble - Lines before the first hunk
+ * @param {string|null} oldFile - Path before the change (null if it did not exist)
+ * @param {string|null} newFile - Path after the change (null if it was deleted)
+ * @returns {string} 'added', 'deleted', 'renamed', 'copied' or 'modified'
+ */
+function fileStatus(preamble, oldFile, newFile) {
+    if (preamble.some(line => line.startsWith('new file mode')) || (!oldFile && newFile)) {
+        return 'added';
+    }
+    if (preamble.some(line => line.startsWith('deleted file mode')) || (oldFile && !newFile)) {
+        return 'deleted';
+    }
+    if (preamble.some(line => line.startsWith('copy from '))) {
+        return 'copied';
+    }
+    if (preamble.some(line => line.startsWith('rename from ')) || (oldFile && newFile && oldFile !== newFile)) {
+        return 'renamed';
+    }
+    return 'modified';
+}
+
+/**
+ * Split a git diff into one entry per file
+ * @param {string} diffText - Output of git diff (one or more files)
+ * @param {string} fallbackName - File name to use when the diff has no headers
+ * @returns {Array<{file: string, oldFile: string|null, status: string, text: string, hunks: Array}>}
+ *   status is 'added', 'deleted', 'renamed', 'copied' or 'modified'
+ */
+function splitDiff(diffText, fallbackName = '') {
+    if (!diffText) {
+        return [];
+    }
+
+    const sections = [];
+    let current = null;
+
+    for (const line of diffText.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            current = { lines: [line] };
+            sections.push(current);
+        } else {
+            if (!current) {
+                current = { lines: [] };
+                sections.push(current);
+            }
+            current.lines.push(line);
+        }
+    }
+
+    return sections
+        .filter(section => section.lines.some(line => HUNK_HEADER.test(line)) || section.lines[0]?.startsWith('diff --git '))
+        .map(({ lines }) => {
+            // ---/+++ are only looked for before the first hunk, where removed "-- x" lines can't be
+            const firstHunk = lines.findIndex(line => HUNK_HEADER.test(line));
+            const preamble = firstHunk < 0 ? lines : lines.slice(0, firstHunk);
+            const header = (lines[0] || '').match(/^diff --git ("?a\/.*?"?) ("?b\/.*"?)$/);
+            const minus = preamble.find(line => line.startsWith('--- '));
+            const plus = preamble.find(line => line.startsWith('+++ '));
+
+            const oldFile = minus ? cleanPath(minus.slice(4)) : (header ? cleanPath(header[1]) : null);
+            const newFile = plus ? cleanPath(plus.slice(4)) : (header ? cleanPath(header[2]) : null);
+
+            return {
+                file: newFile || oldFile || fallbackName,
+                oldFile,
+                status: fileStatus(preamble, oldFile, newFile),
+                text: lines.join('\n'),
+                hunks: parseHunks(lines)
+            };
+        });
+}
+
+module.exports = {
+    splitDiff,
+    parseHunks
+};
@@ -0,0 +1,1108 @@
+"use strict";
+/**
+ * 🔧 GIT OPERATIONS MODULE
+ * Handles all git-related operations
+ */
+
+const { execSync, spawnSync, spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { addTrailers } = require("./commit-message");
+
+/**
+ * Staging modes (gitAutopush.stagingMode)
+ * - file:    only the saved file(s); other staged work is left out of the commit
+ * - tracked: all modifications to tracked files (git add -u)
+ * - all:     everything, including untracked files (git add -A)
+ */
+const StagingMode = {
+    FILE: "file",
+    TRACKED: "tracked",
+    ALL: "all",
+};
+
+/**
+ * Creates a git operations manager
+ * @param {object} outputChannel - VS Code output channel for logging
+ */
+function createGitOperations(outputChannel) {
+    const out = outputChannel;
+
+    /**
+     * Get the git repository root for a given path
+     * @param {string} workspacePath - Path to check
+     * @returns {string|null} Repository root or null if not a git repo
+     */
+    function getRepoRoot(workspacePath) {
+        try {
+            return execSync("git rev-parse --show-toplevel", {
+                cwd: workspacePath,
+                stdio: ["ignore", "pipe", "ignore"],
+            })
+                .toString()
+                .trim();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Get current branch name
+     * @param {string} repoRoot - Repository root path
+     * @returns {string} Branch name or commit hash if detached
+     */
+    function getCurrentBranch(repoRoot) {
+        try {
+            return execSync("git symbolic-ref --short HEAD", {
+                cwd: repoRoot,
+                stdio: ["ignore", "pipe", "ignore"],
+            })
+                .toString()
+                .trim();
+        } catch (e) {
+            // Detached HEAD or other error - return short hash if possible
+            out.appendLine(`git-autopush: getCurrentBranch note: ${e.message}`);
+            return execSync("git rev-parse --short HEAD", {
+                cwd: repoRoot,
+                stdio: ["ignore", "pipe", "ignore"],
+            })
+                .toString()
+                .trim();
+        }
+    }
+
+    /**
+     * Check if a file is ignored by git
+     * @param {string} filePath - Full file path
+     * @param {string} repoRoot - Repository root
+     * @returns {boolean} True if ignored
+     */
+    function isFileIgnored(filePath, repoRoot) {
+        try {
+            const result = spawnSync("git", ["check-ignore", filePath], {
+                cwd: repoRoot,
+            });
+            return result.status === 0;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether HEAD is detached (getCurrentBranch then returns a short hash, not a branch)
+     * @param {string} repoRoot - Repository root
+     * @returns {boolean}
+     */
+    function isDetached(repoRoot) {
+        const result = spawnSync("git", ["symbolic-ref", "-q", "HEAD"], { cwd: repoRoot });
+        return result.status === 1;
+    }
+
+    /**
+     * Get the current HEAD commit hash
+     * @param {string} repoRoot - Repository root
+     * @returns {string|null} Commit hash or null
+     */
+    function getHeadCommit(repoRoot) {
+        try {
+            return execSync("git rev-parse HEAD", {
+                cwd: repoRoot,
+                stdio: ["ignore", "pipe", "ignore"],
+            })
+                .toString()
+                .trim();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Decide where a branch is pushed: its configured upstream if it has one,
+     * otherwise the preferred remote, 'origin', or the repository's only remote
+     * @param {string} repoRoot - Repository root
+     * @param {string} branch - Local branch name
+     * @param {string} preferredRemote - gitAutopush.remote ('' for automatic)
+     * @returns {{remote: string, remoteBranch: string, setUpstream: boolean}|null}
+     *   null when HEAD is detached or no usable remote exists
+     */
+    function getPushTarget(repoRoot, branch, preferredRemote = "") {
+        const read = (args) => {
+            const result = spawnSync("git", args, { cwd: repoRoot });
+            return result.status === 0 ? result.stdout.toString().trim() : "";
+        };
+
+        if (!branch || !read(["rev-parse", "--verify", "--quiet", `refs/heads/${branch}`])) {
+            return null;
+        }
+
+        const upstreamRemote = read(["config", `branch.${branch}.remote`]);
+        const upstreamMerge = read(["config", `branch.${branch}.merge`]);
+        if (upstreamRemote && upstreamRemote !== "." && upstreamMerge) {
+            return {
+                remote: upstreamRemote,
+                remoteBranch: upstreamMerge.replace(/^refs\/heads\//, ""),
+                setUpstream: false,
+            };
+        }
+
+        const remotes = read(["remote"]).split("\n").filter((r) => r);
+        let remote = null;
+        if (preferredRemote) {
+            remote = remotes.includes(preferredRemote) ? preferredRemote : null;
+            if (!remote) {
+                out.appendLine(`git-autopush: remote '${preferredRemote}' not found`);
+            }
+        } else if (remotes.includes("origin")) {
+            remote = "origin";
+        } else if (remotes.length === 1) {
+            remote = remotes[0];
+        }
+
+        return remote ? { remote, remoteBranch: branch, setUpstream: true } : null;
+    }
+
+    /**
+     * Count local commits not yet pushed: ahead of the upstream, or for a
+     * branch without one, not on any remote-tracking branch
+     * @param {string} repoRoot - Repository root
+     * @returns {Promise<number>}
+     */
+    async function getAheadCount(repoRoot) {
+        const count = async (args) => {
+            const result = await runGit(["rev-list", "--count", ...args], repoRoot);
+            return result.ok ? parseInt(result.stdout.trim(), 10) || 0 : null;
+        };
+        const ahead = await count(["@{upstream}..HEAD"]);
+        return ahead !== null ? ahead : ((await count(["HEAD", "--not", "--remotes"])) || 0);
+    }
+
+    /**
+     * Whether a commit is reachable from HEAD (i.e. still part of the checked-out branch)
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Commit hash
+     * @returns {boolean}
+     */
+    function isCommitInHead(repoRoot, hash) {
+        const result = spawnSync("git", ["merge-base", "--is-ancestor", hash, "HEAD"], { cwd: repoRoot });
+        return result.status === 0;
+    }
+
+    /**
+     * Whether a commit has a parent (false for the repository's first commit)
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Commit hash
+     * @returns {boolean}
+     */
+    function hasParent(repoRoot, hash) {
+        const result = spawnSync("git", ["rev-parse", "--verify", "--quiet", `${hash}^`], { cwd: repoRoot });
+        return result.status === 0;
+    }
+
+    /**
+     * Whether a commit has already reached a remote (any remote-tracking branch contains it)
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Commit hash
+     * @returns {boolean}
+     */
+    function isCommitPushed(repoRoot, hash) {
+        const result = spawnSync("git", ["for-each-ref", "--count=1", "--contains", hash, "refs/remotes"], { cwd: repoRoot });
+        return result.status === 0 && result.stdout.toString().trim() !== "";
+    }
+
+    /**
+     * List files with uncommitted changes (modified, deleted, renamed or untracked).
+     * Ignored files are never included.
+     * @param {string} repoRoot - Repository root
+     * @returns {string[]} Paths relative to the repository root
+     */
+    function getChangedFiles(repoRoot) {
+        try {
+            const entries = execSync("git status --porcelain=v1 -z --untracked-files=all", {
+                cwd: repoRoot,
+                stdio: ["ignore", "pipe", "ignore"],
+                maxBuffer: 1024 * 1024 * 20,
+            })
+                .toString()
+                .split("\0");
+
+            const files = [];
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                if (!entry) continue;
+                // "XY path"; renames and copies are followed by the original path,
+                // which belongs in the commit too (its deletion is part of the change)
+                files.push(entry.slice(3));
+                if ((entry[0] === "R" || entry[0] === "C") && entries[i + 1]) {
+                    i++;
+                    if (entry[0] === "R") files.push(entries[i]);
+                }
+            }
+            return files;
+        } catch (e) {
+            out.appendLine(`git-autopush: getChangedFiles error: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Run a callback against a throwaway index that holds exactly what a
+     * commit with the given staging would record. The user's real index
+     * and working tree are never touched.
+     * @param {string} repoRoot - Repository root
+     * @param {object} staging - { mode, files } (files relative to repoRoot)
+     * @param {function} fn - Receives git(args) → stdout for the temp index
+     * @returns {*} Callback result
+     */
+    function withStagingIndex(repoRoot, staging, fn) {
+        const tempIndex = path.join(
+            os.tmpdir(),
+            `git-autopush-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`
+        );
+        const env = { ...process.env, GIT_INDEX_FILE: tempIndex };
+        const git = (args) => {
+            const result = spawnSync("git", args, { cwd: repoRoot, env, maxBuffer: 1024 * 1024 * 20 });
+            if (result.status !== 0) {
+                // result.error covers output over maxBuffer (ENOBUFS), where git itself reports nothing
+                throw new Error(`git ${args[0]} failed: ${result.error ? result.error.message : (result.stderr || "").toString().trim()}`);
+            }
+            return result.stdout.toString();
+        };
+
+        try {
+            if (staging.mode === StagingMode.FILE) {
+                // Same as `git commit --only`: HEAD plus the listed files
+                git(getHeadCommit(repoRoot) ? ["read-tree", "HEAD"] : ["read-tree", "--empty"]);
+            } else {
+                const realIndex = path.resolve(
+                    repoRoot,
+                    execSync("git rev-parse --git-path index", {
+                        cwd: repoRoot,
+                        stdio: ["ignore", "pipe", "ignore"],
+                    }).toString().trim()
+                );
+                if (fs.existsSync(realIndex)) {
+                    fs.copyFileSync(realIndex, tempIndex);
+                }
+            }
+
+            for (const step of planStaging(staging)) {
+                git(step.args);
+            }
+
+            return fn(git);
+        } finally {
+            fs.rmSync(tempIndex, { force: true });
+        }
+    }
+
+    /**
+     * Get the diff of exactly what will be committed with the given staging
+     * @param {string} repoRoot - Repository root
+     * @param {object} options - Options
+     * @param {object} options.staging - { mode, files } as passed to executeCommit
+     * @param {string[]} options.paths - Limit the diff to these paths
+     * @param {number} options.maxLength - Maximum diff length (default: all of it; the AI service fits it to the model)
+     * @param {number} options.unified - Context lines around each change (default 3)
+     * @param {string} options.base - Commit to diff against (default HEAD; HEAD~1 for an amend)
+     * @returns {string} Diff text ("" when it could not be read)
+     */
+    function getStagedDiff(repoRoot, options) {
+        return readStagedDiff(repoRoot, options).diff;
+    }
+
+    /**
+     * Same as getStagedDiff, but tells an empty diff apart from one that could not be
+     * read (git failed, or the diff is over the output limit). Checks that must see
+     * every change, like the secret scan, use this.
+     * @param {string} repoRoot - Repository root
+     * @param {object} options - Same options as getStagedDiff
+     * @returns {{ok: boolean, diff: string, error: string|null}}
+     */
+    function readStagedDiff(repoRoot, { staging, paths = [], maxLength = Infinity, unified = 3, base = null }) {
+        try {
+            let diff = withStagingIndex(repoRoot, staging, (git) =>
+                git(["diff", "--cached", "--no-color", "--no-ext-diff", `--unified=${unified}`, ...(base ? [base] : []), "--", ...paths])
+            );
+
+            if (diff.length > maxLength) {
+                diff = diff.slice(0, maxLength) + "\n...(truncated)";
+            }
+
+            return { ok: true, diff, error: null };
+        } catch (e) {
+            out.appendLine(`git-autopush: getStagedDiff error: ${e.message}`);
+            return { ok: false, diff: "", error: e.message };
+        }
+    }
+
+    /**
+     * Get the to-be-committed diff for a single file
+     * @param {string} repoRoot - Repository root
+     * @param {string} relativePath - Relative file path
+     * @param {object} staging - { mode, files } as passed to executeCommit
+     * @returns {string} Diff text
+     */
+    function getFileDiff(repoRoot, relativePath, staging) {
+        return getStagedDiff(repoRoot, { staging, paths: [relativePath] });
+    }
+
+    /**
+     * List the files a commit with the given staging would include
+     * @param {string} repoRoot - Repository root
+     * @param {object} staging - { mode, files }
+     * @param {string} base - Commit to compare against (default HEAD; HEAD~1 for an amend)
+     * @returns {string[]} Paths relative to the repository root
+     */
+    function getFilesToCommit(repoRoot, staging, base = null) {
+        try {
+            return withStagingIndex(repoRoot, staging, (git) =>
+                git(["diff", "--cached", "--name-only", "--no-renames", ...(base ? [base] : [])])
+            )
+                .split("\n")
+                .filter((l) => l);
+        } catch (e) {
+            out.appendLine(`git-autopush: getFilesToCommit error: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Hashes of the most recent commits on the current branch, newest first
+     * @param {string} repoRoot - Repository root
+     * @param {number} max - Maximum number of commits
+     * @returns {string[]}
+     */
+    function listCommits(repoRoot, max) {
+        const result = spawnSync("git", ["rev-list", "--first-parent", `--max-count=${max}`, "HEAD"], { cwd: repoRoot });
+        return result.status === 0 ? result.stdout.toString().split("\n").filter((l) => l) : [];
+    }
+
+    /**
+     * Messages of the most recent non-merge commits on the current branch, newest first
+     * @param {string} repoRoot - Repository root
+     * @param {number} max - Maximum number of commits
+     * @returns {Array<{hash: string, message: string}>}
+     */
+    function getRecentMessages(repoRoot, max) {
+        const result = spawnSync("git", ["log", "--no-merges", `--max-count=${max}`, "--format=%H%x00%B%x1e"], {
+            cwd: repoRoot,
+            maxBuffer: 1024 * 1024 * 20,
+        });
+        if (result.status !== 0) {
+            return [];
+        }
+        return result.stdout
+            .toString()
+            .split("\x1e")
+            .map((record) => record.trim())
+            .filter((record) => record)
+            .map((record) => {
+                const [hash, message = ""] = record.split("\0");
+                return { hash, message: message.trim() };
+            });
+    }
+
+    /**
+     * Diff between a commit and HEAD (what a squash of base..HEAD contains)
+     * @param {string} repoRoot - Repository root
+     * @param {string} base - Commit to diff from
+     * @param {object} options - Options
+     * @param {number} options.maxLength - Maximum diff length (default: all of it; the AI service fits it to the model)
+     * @returns {string} Diff text
+     */
+    function getRangeDiff(repoRoot, base, { maxLength = Infinity } = {}) {
+        const result = spawnSync("git", ["diff", "--no-color", "--no-ext-diff", base, "HEAD"], {
+            cwd: repoRoot,
+            maxBuffer: 1024 * 1024 * 20,
+        });
+        if (result.status !== 0) {
+            out.appendLine(`git-autopush: getRangeDiff error: ${result.stderr.toString().trim()}`);
+            return "";
+        }
+        const diff = result.stdout.toString();
+        return diff.length > maxLength ? diff.slice(0, maxLength) + "\n...(truncated)" : diff;
+    }
+
+    /**
+     * Files changed between a commit and HEAD
+     * @param {string} repoRoot - Repository root
+     * @param {string} base - Commit to compare from
+     * @returns {string[]} Paths relative to the repository root
+     */
+    function getRangeFiles(repoRoot, base) {
+        const result = spawnSync("git", ["diff", "--name-only", "--no-renames", base, "HEAD"], { cwd: repoRoot });
+        return result.status === 0 ? result.stdout.toString().split("\n").filter((l) => l) : [];
+    }
+
+    /**
+     * Trailers (Co-authored-by, Signed-off-by, ...) of the commits between a commit and HEAD
+     * @param {string} repoRoot - Repository root
+     * @param {string} base - Commit to start after
+     * @returns {string[]} Unique "Token: value" lines, oldest commit first
+     */
+    function getRangeTrailers(repoRoot, base) {
+        const result = spawnSync("git", ["log", "--reverse", "--format=%(trailers:only,unfold)", `${base}..HEAD`], { cwd: repoRoot });
+        if (result.status !== 0) {
+            return [];
+        }
+        const lines = result.stdout.toString().split("\n").map((l) => l.trim()).filter((l) => l);
+        return Array.from(new Set(lines));
+    }
+
+    /**
+     * Committer identity from git config
+     * @param {string} repoRoot - Repository root
+     * @returns {{name: string, email: string}|null} null when user.name or user.email is not set
+     */
+    function getUserIdentity(repoRoot) {
+        const read = (key) => {
+            const result = spawnSync("git", ["config", "--get", key], { cwd: repoRoot });
+            return result.status === 0 ? result.stdout.toString().trim() : "";
+        };
+        const name = read("user.name");
+        const email = read("user.email");
+        return name && email ? { name, email } : null;
+    }
+
+    /**
+     * Everyone who authored commits on the current branch, most commits first
+     * @param {string} repoRoot - Repository root
+     * @returns {Array<{name: string, email: string, commits: number}>}
+     */
+    function listAuthors(repoRoot) {
+        // HEAD must be given: without a revision shortlog reads a log from stdin
+        const result = spawnSync("git", ["shortlog", "-sne", "HEAD"], { cwd: repoRoot, stdio: ["ignore", "pipe", "pipe"] });
+        if (result.status !== 0) {
+            return [];
+        }
+        return result.stdout
+            .toString()
+            .split("\n")
+            .map((line) => line.match(/^\s*(\d+)\s+(.+?)\s+<([^>]*)>\s*$/))
+            .filter(Boolean)
+            .map(([, commits, name, email]) => ({ name, email, commits: Number(commits) }));
+    }
+
+    /**
+     * Escape a string for safe use inside single-quoted shell arguments.
+     * Wraps the value in single quotes with proper escaping of embedded
+     * single quotes: ' → '\'' (end quote, escaped quote, re-open quote).
+     * This is the safest general-purpose shell quoting strategy because
+     * single-quoted strings treat ALL characters as literal except '.
+     * @param {string} str - Raw string to escape
+     * @returns {string} Shell-safe single-quoted string
+     */
+    function shellEscape(str) {
+        if (typeof str !== 'string') {
+            str = String(str);
+        }
+        // Newlines are literal inside single quotes, so multi-line values survive
+        return "'" + str.replace(/'/g, "'\\''") + "'";
+    }
+
+    /**
+     * Run a git command as a child process and capture its result
+     * @param {string[]} args - git arguments (no shell parsing involved)
+     * @param {string} cwd - Working directory (repository root)
+     * @param {object} options - Options
+     * @param {string} options.input - Text written to stdin
+     * @param {object} options.env - Extra environment variables
+     * @returns {Promise<{ok: boolean, code: number, stdout: string, stderr: string, command: string}>}
+     */
+    function runGit(args, cwd, { input, env } = {}) {
+        const command = `git ${args.join(" ")}`;
+        return new Promise((resolve) => {
+            let stdout = "";
+            let stderr = "";
+            let child;
+
+            try {
+                child = spawn("git", args, {
+                    cwd,
+                    env: { ...process.env, GIT_TERMINAL_PROMPT: "0", ...env },
+                });
+            } catch (e) {
+                resolve({ ok: false, code: -1, stdout, stderr: e.message, command });
+                return;
+            }
+
+            child.stdout.on("data", (chunk) => (stdout += chunk));
+            child.stderr.on("data", (chunk) => (stderr += chunk));
+            child.on("error", (e) => {
+                resolve({ ok: false, code: -1, stdout, stderr: stderr || e.message, command });
+            });
+            child.on("close", (code) => {
+                resolve({ ok: code === 0, code, stdout, stderr, command });
+            });
+
+            if (input !== undefined) {
+                child.stdin.end(input);
+            } else {
+                child.stdin.end();
+            }
+        });
+    }
+
+    /**
+     * Plan the staging step for a staging mode
+     * @param {object} staging - { mode, files }
+     * @returns {Array<{name: string, args: string[]}>} Staging steps
+     */
+    function planStaging({ mode, files = [] }) {
+        if (mode === StagingMode.FILE) {
+            return [{ name: "stage", args: ["add", "--", ...files] }];
+        }
+        if (mode === StagingMode.TRACKED) {
+            return [{ name: "stage", args: ["add", "-u"] }];
+        }
+        return [{ name: "stage", args: ["add", "-A"] }];
+    }
+
+    /**
+     * Plan the git steps for a commit and optional push
+     * @param {object} options - Plan options
+     * @param {string} options.message - Commit message
+     * @param {string} options.branch - Branch name
+     * @param {boolean} options.push - Whether to push
+     * @param {object} options.staging - { mode, files } (see StagingMode)
+     * @param {object} options.pushTarget - Result of getPushTarget (required when pushing)
+     * @param {boolean} options.amend - Replace HEAD instead of adding a commit
+     * @param {string[]} options.trailers - Trailer lines appended to the message (duplicates are skipped)
+     * @returns {Array<{name: string, args: string[], input?: string}>} Ordered steps (input is written to stdin)
+     */
+    function planCommit({ message, branch, push, staging, pushTarget, amend = false, trailers = [] }) {
+        // The message is read from stdin (-F -) so the body and footers keep their newlines.
+        // In file mode, --only keeps anything else the user staged out of this commit.
+        const commit = amend ? ["commit", "--amend"] : ["commit"];
+        const commitArgs = staging.mode === StagingMode.FILE
+            ? [...commit, "--only", "--cleanup=whitespace", "-F", "-", "--", ...staging.files]
+            : [...commit, "--cleanup=whitespace", "-F", "-"];
+
+        const steps = [
+            ...planStaging(staging),
+            { name: "commit", args: commitArgs, input: addTrailers(message, trailers) },
+        ];
+
+        if (push && pushTarget) {
+            steps.push(planPush(branch, pushTarget));
+        }
+
+        return steps;
+    }
+
+    /**
+     * Plan the push step; -u on a branch's first push records the upstream
+     * @param {string} branch - Local branch name
+     * @param {object} pushTarget - Result of getPushTarget
+     * @returns {{name: string, args: string[]}}
+     */
+    function planPush(branch, { remote, remoteBranch, setUpstream }) {
+        const refspec = remoteBranch === branch ? branch : `${branch}:${remoteBranch}`;
+        return {
+            name: "push",
+            args: ["push", ...(setUpstream ? ["-u"] : []), remote, refspec],
+        };
+    }
+
+    /**
+     * Build a human-readable command string for commit and optional push
+     * (used for dry-run output and logging; execution goes through executeCommit)
+     * @param {object} options - Command options
+     * @param {string} options.repoRoot - Repository root path
+     * @param {string} options.message - Commit message
+     * @param {string} options.branch - Branch name
+     * @param {boolean} options.push - Whether to push
+     * @param {object} options.staging - { mode, files }
+     * @param {string} options.remote - Preferred remote ('' for automatic)
+     * @param {boolean} options.amend - Amend HEAD instead of adding a commit
+     * @param {string[]} options.trailers - Trailer lines to append to the message
+     * @returns {string} Full command string
+     */
+    function buildCommitCommand({ repoRoot, message, branch, push, staging, remote = "", amend = false, trailers = [] }) {
+        const pushTarget = push ? getPushTarget(repoRoot, branch, remote) : null;
+        const commands = planCommit({ message, branch, push, staging, pushTarget, amend, trailers }).map(
+            (step) => {
+                const command = "git " + step.args.map((arg) => /^[\w@%+=:,./-]+$/.test(arg) ? arg : shellEscape(arg)).join(" ");
+                return step.input === undefined ? command : `printf '%s\\n' ${shellEscape(step.input)} | ${command}`;
+            }
+        );
+
+        const cwdPrefix = repoRoot ? `cd ${shellEscape(repoRoot)} && ` : "";
+
+        return cwdPrefix + commands.join(" && ");
+    }
+
+    /**
+     * Stage, commit and optionally push, stopping at the first failed step
+     * @param {object} options - Same options as buildCommitCommand
+     * @returns {Promise<object>} Structured result:
+     *   { ok, committed, pushed, pushRejected, pushTarget, nothingToCommit, hash, steps, failedStep, error }
+     */
+    async function executeCommit({ repoRoot, message, branch, push, staging, remote = "", amend = false, trailers = [] }) {
+        const result = {
+            ok: false,
+            committed: false,
+            pushed: false,
+            pushRejected: false,
+            pushTarget: push ? getPushTarget(repoRoot, branch, remote) : null,
+            nothingToCommit: false,
+            hash: null,
+            steps: [],
+            failedStep: null,
+            error: null,
+        };
+
+        for (const step of planCommit({ message, branch, push, staging, pushTarget: result.pushTarget, amend, trailers })) {
+            const stepResult = await runGit(step.args, repoRoot, { input: step.input });
+            result.steps.push({ name: step.name, ...stepResult });
+            out.appendLine(`git-autopush: ${step.name} → exit ${stepResult.code}`);
+
+            if (!stepResult.ok) {
+                const output = `${stepResult.stdout}\n${stepResult.stderr}`;
+                if (step.name === "commit" && /nothing (added )?to commit|no changes added to commit|would make\s+it empty/i.test(output)) {
+                    result.nothingToCommit = true;
+                }
+                if (step.name === "push" && isNonFastForward(output)) {
+                    result.pushRejected = true;
+                }
+                result.failedStep = step.name;
+                result.error = (stepResult.stderr || stepResult.stdout).trim() || `exit code ${stepResult.code}`;
+                out.appendLine(`git-autopush: ${step.name} failed: ${result.error}`);
+                break;
+            }
+
+            if (step.name === "commit") {
+                result.committed = true;
+                result.hash = getHeadCommit(repoRoot);
+            } else if (step.name === "push") {
+                result.pushed = true;
+            }
+        }
+
+        if (push && result.committed && !result.pushTarget) {
+            result.error = "No remote to push to (HEAD is detached or the repository has no matching remote)";
+            out.appendLine(`git-autopush: push skipped: ${result.error}`);
+        }
+
+        result.ok = result.committed && (!push || result.pushed);
+        return result;
+    }
+
+    /**
+     * Whether push output is a rejection because the remote has moved ahead
+     * @param {string} output - Combined push stdout/stderr
+     * @returns {boolean}
+     */
+    function isNonFastForward(output) {
+        return /non-fast-forward|\(fetch first\)|Updates were rejected/i.test(output);
+    }
+
+    /**
+     * Push a branch on its own (used for retries of earlier failed pushes)
+     * @param {string} repoRoot - Repository root
+     * @param {string} branch - Local branch name
+     * @param {string} remote - Preferred remote ('' for automatic)
+     * @returns {Promise<{ok: boolean, rejected: boolean, pushTarget: object|null, error: string|null}>}
+     */
+    async function pushBranch(repoRoot, branch, remote = "") {
+        const pushTarget = getPushTarget(repoRoot, branch, remote);
+        if (!pushTarget) {
+            return { ok: false, rejected: false, pushTarget, error: "No remote to push to" };
+        }
+
+        const pushed = await runGit(planPush(branch, pushTarget).args, repoRoot);
+        out.appendLine(`git-autopush: push ${pushTarget.remote}/${pushTarget.remoteBranch} → exit ${pushed.code}`);
+        const output = `${pushed.stdout}\n${pushed.stderr}`;
+        return {
+            ok: pushed.ok,
+            rejected: !pushed.ok && isNonFastForward(output),
+            pushTarget,
+            error: pushed.ok ? null : (pushed.stderr || pushed.stdout).trim() || `exit code ${pushed.code}`,
+        };
+    }
+
+    /**
+     * Commits of a range, oldest first, with their patch-id (null for empty commits) and subject
+     * @param {string} repoRoot - Repository root
+     * @param {string} range - Revision range, e.g. "a..b"
+     * @returns {Promise<Array<{hash: string, patchId: string|null, subject: string}>>}
+     */
+    async function getRangeCommits(repoRoot, range) {
+        const log = await runGit(["log", "--reverse", "--no-merges", "--format=%H%x00%s", range], repoRoot);
+        if (!log.ok) {
+            return [];
+        }
+        const commits = log.stdout.split("\n").filter((l) => l).map((line) => {
+            const [hash, subject] = line.split("\0");
+            return { hash, patchId: null, subject };
+        });
+
+        const patches = await runGit(["log", "-p", "--no-merges", "--no-color", "--no-ext-diff", range], repoRoot);
+        const ids = await runGit(["patch-id", "--stable"], repoRoot, { input: patches.stdout });
+        const byHash = new Map(ids.stdout.split("\n").filter((l) => l).map((l) => l.split(" ").reverse()));
+        for (const commit of commits) {
+            commit.patchId = byHash.get(commit.hash) || null;
+        }
+        return commits;
+    }
+
+    /**
+     * Pair the commits a rebase rewrote with their new hashes, by patch-id,
+     * falling back to the subject for commits whose change was adjusted
+     * @param {string} repoRoot - Repository root
+     * @param {string} before - HEAD before the rebase
+     * @param {string} after - HEAD after the rebase
+     * @param {string} upstream - The commit the branch was rebased onto
+     * @returns {Promise<{rewritten: Array<{oldHash: string, newHash: string}>, dropped: string[]}>}
+     */
+    async function mapRebasedCommits(repoRoot, before, after, upstream) {
+        if (!before || !after || before === after) {
+            return { rewritten: [], dropped: [] };
+        }
+
+        // Local commits no longer on the branch, and the commits the rebase replayed on top of upstream
+        const oldCommits = await getRangeCommits(repoRoot, `${after}..${before}`);
+        const candidates = await getRangeCommits(repoRoot, `${upstream}..${after}`);
+
+        const rewritten = [];
+        const dropped = [];
+        const take = (match) => {
+            const index = candidates.findIndex(match);
+            return index < 0 ? null : candidates.splice(index, 1)[0];
+        };
+        for (const commit of oldCommits) {
+            const found = (commit.patchId && take((c) => c.patchId === commit.patchId)) || take((c) => c.subject === commit.subject);
+            if (found) {
+                rewritten.push({ oldHash: commit.hash, newHash: found.hash });
+            } else {
+                dropped.push(commit.hash);
+            }
+        }
+        out.appendLine(`git-autopush: rebase rewrote ${rewritten.length} commit(s), dropped ${dropped.length}`);
+        return { rewritten, dropped };
+    }
+
+    /**
+     * Recover from a non-fast-forward rejection: rebase onto the remote branch
+     * and push again. A conflicting rebase is aborted so the repo is left as it was.
+     * @param {string} repoRoot - Repository root
+     * @param {string} branch - Local branch name
+     * @param {object} pushTarget - Result of getPushTarget
+     * @returns {Promise<{ok: boolean, conflict: boolean, hash: string|null, rewritten: Array, dropped: string[], error: string|null}>}
+     *   rewritten pairs each rebased commit with its new hash ({ oldHash, newHash }); dropped lists
+     *   local commits with no counterpart after the rebase (already upstream, or unrecognizable)
+     */
+    async function pullRebaseAndPush(repoRoot, branch, pushTarget) {
+        const before = getHeadCommit(repoRoot);
+        const pull = await runGit(["pull", "--rebase", "--autostash", pushTarget.remote, pushTarget.remoteBranch], repoRoot);
+        out.appendLine(`git-autopush: pull --rebase → exit ${pull.code}`);
+        if (!pull.ok) {
+            const inRebase = await runGit(["rev-parse", "--verify", "--quiet", "REBASE_HEAD"], repoRoot);
+            if (inRebase.ok) {
+                await runGit(["rebase", "--abort"], repoRoot);
+            }
+            return {
+                ok: false,
+                conflict: inRebase.ok,
+                hash: getHeadCommit(repoRoot),
+                rewritten: [],
+                dropped: [],
+                error: (pull.stderr || pull.stdout).trim() || `exit code ${pull.code}`,
+            };
+        }
+
+        const after = getHeadCommit(repoRoot);
+        const { rewritten, dropped } = await mapRebasedCommits(repoRoot, before, after, "FETCH_HEAD");
+
+        const pushStep = planPush(branch, pushTarget);
+        const pushed = await runGit(pushStep.args, repoRoot);
+        out.appendLine(`git-autopush: push (retry) → exit ${pushed.code}`);
+        return {
+            ok: pushed.ok,
+            conflict: false,
+            hash: after,
+            rewritten,
+            dropped,
+            error: pushed.ok ? null : (pushed.stderr || pushed.stdout).trim() || `exit code ${pushed.code}`,
+        };
+    }
+
+    /**
+     * Undo a commit with git reset, moving the branch to the commit's parent.
+     * Every later commit is undone with it, so a hard reset is only allowed on HEAD.
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Commit to undo
+     * @param {string} resetType - 'soft' or 'hard'
+     * @returns {Promise<object>} runGit result
+     */
+    async function resetCommit(repoRoot, hash, resetType) {
+        if (resetType === "hard" && getHeadCommit(repoRoot) !== hash) {
+            return { ok: false, code: null, stdout: "", stderr: "Refusing to hard reset: the commit is not HEAD" };
+        }
+        const flag = resetType === "hard" ? "--hard" : "--soft";
+        return runGit(["reset", flag, `${hash}~1`], repoRoot);
+    }
+
+    /**
+     * Undo a commit by committing its inverse (safe for commits that were pushed).
+     * A conflicting revert is aborted so the repo is left as it was.
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Commit to revert
+     * @returns {Promise<{ok: boolean, conflict: boolean, hash: string|null, error: string|null}>}
+     */
+    async function revertCommit(repoRoot, hash) {
+        const revert = await runGit(["revert", "--no-edit", hash], repoRoot);
+        out.appendLine(`git-autopush: revert ${hash.slice(0, 7)} → exit ${revert.code}`);
+        if (!revert.ok) {
+            const inRevert = await runGit(["rev-parse", "--verify", "--quiet", "REVERT_HEAD"], repoRoot);
+            if (inRevert.ok) {
+                await runGit(["revert", "--abort"], repoRoot);
+            }
+            return {
+                ok: false,
+                conflict: inRevert.ok,
+                hash: null,
+                error: (revert.stderr || revert.stdout).trim() || `exit code ${revert.code}`,
+            };
+        }
+        return { ok: true, conflict: false, hash: getHeadCommit(repoRoot), error: null };
+    }
+
+    /**
+     * Replace the commits from `oldest` up to `head` with a single commit holding
+     * HEAD's tree (a soft reset plus commit that leaves the index and working tree alone).
+     * Fails if HEAD moved away from `head` in the meantime.
+     * @param {string} repoRoot - Repository root
+     * @param {object} options - Options
+     * @param {string} options.oldest - Oldest commit to fold in
+     * @param {string} options.head - Expected current HEAD
+     * @param {string} options.message - Message for the combined commit
+     * @param {string[]} options.trailers - Trailer lines to append to the message
+     * @returns {Promise<{ok: boolean, hash: string|null, error: string|null}>}
+     */
+    async function squashCommits(repoRoot, { oldest, head, message, trailers = [] }) {
+        const fail = (error) => {
+            out.appendLine(`git-autopush: squash failed: ${error}`);
+            return { ok: false, hash: null, error };
+        };
+
+        const parent = await runGit(["rev-parse", "--verify", "--quiet", `${oldest}^`], repoRoot);
+        if (!parent.ok) {
+            return fail("The oldest commit has no parent (first commit of the repository)");
+        }
+
+        const created = await runGit(
+            ["commit-tree", `${head}^{tree}`, "-p", parent.stdout.trim(), "-F", "-"],
+            repoRoot,
+            { input: addTrailers(message, trailers) }
+        );
+        if (!created.ok) {
+            return fail(created.stderr.trim() || `exit code ${created.code}`);
+        }
+
+        const hash = created.stdout.trim();
+        const moved = await runGit(["update-ref", "-m", "git-autopush: squash session", "HEAD", hash, head], repoRoot);
+        out.appendLine(`git-autopush: squash ${oldest.slice(0, 7)}..${head.slice(0, 7)} → ${hash.slice(0, 7)} (exit ${moved.code})`);
+        if (!moved.ok) {
+            return fail(moved.stderr.trim() || `exit code ${moved.code}`);
+        }
+        return { ok: true, hash, error: null };
+    }
+
+    /**
+     * Hidden ref that holds a branch's checkpoints (never pushed, never checked out)
+     * @param {string} branch - Branch name
+     * @returns {string}
+     */
+    function getCheckpointRef(branch) {
+        return `refs/autopush/${branch}`;
+    }
+
+    /**
+     * withStagingIndex for the whole working tree (tracked and untracked, minus
+     * ignored files) with some paths left out
+     * @param {string} repoRoot - Repository root
+     * @param {string[]} exclude - Paths to leave out (sensitive files)
+     * @param {function} fn - Receives git(args) → stdout for the temp index
+     * @returns {*} Callback result
+     */
+    function withWorkingTreeIndex(repoRoot, exclude, fn) {
+        return withStagingIndex(repoRoot, { mode: StagingMode.ALL, files: [] }, (git) => {
+            if (exclude.length > 0) {
+                git(["rm", "--cached", "--quiet", "--ignore-unmatch", "--", ...exclude]);
+            }
+            return fn(git);
+        });
+    }
+
+    /**
+     * Snapshot the working tree (tracked and untracked, minus ignored files) as a
+     * commit on the branch's checkpoint ref. HEAD, the branch and the user's index
+     * are not touched. Nothing is recorded if the tree matches the last checkpoint.
+     * @param {string} repoRoot - Repository root
+     * @param {object} options - Options
+     * @param {string} options.branch - Current branch
+     * @param {string} options.message - Checkpoint message
+     * @param {string[]} options.exclude - Paths left out of the snapshot (sensitive files)
+     * @returns {{created: boolean, hash: string|null, ref: string, error: string|null}}
+     */
+    function createCheckpoint(repoRoot, { branch, message, exclude = [] }) {
+        const ref = getCheckpointRef(branch);
+        try {
+            return withWorkingTreeIndex(repoRoot, exclude, (git) => {
+                const tree = git(["write-tree"]).trim();
+
+                const previous = spawnSync("git", ["rev-parse", "--verify", "--quiet", ref], { cwd: repoRoot });
+                const parent = previous.status === 0 ? previous.stdout.toString().trim() : null;
+                if (parent && git(["rev-parse", `${parent}^{tree}`]).trim() === tree) {
+                    return { created: false, hash: parent, ref, error: null };
+                }
+
+                const hash = git(["commit-tree", tree, ...(parent ? ["-p", parent] : []), "-m", message]).trim();
+                git(["update-ref", "-m", "git-autopush: checkpoint", ref, hash, parent || ""]);
+                return { created: true, hash, ref, error: null };
+            });
+        } catch (e) {
+            out.appendLine(`git-autopush: checkpoint failed: ${e.message}`);
+            return { created: false, hash: null, ref, error: e.message };
+        }
+    }
+
+    /**
+     * Checkpoints of a branch, newest first
+     * @param {string} repoRoot - Repository root
+     * @param {string} branch - Branch name
+     * @param {number} max - Maximum number of checkpoints
+     * @returns {Array<{hash: string, timestamp: number, subject: string}>}
+     */
+    function listCheckpoints(repoRoot, branch, max = 100) {
+        const result = spawnSync("git", ["log", `--max-count=${max}`, "--format=%H%x00%ct%x00%s", getCheckpointRef(branch), "--"], { cwd: repoRoot });
+        if (result.status !== 0) {
+            return [];
+        }
+        return result.stdout.toString().split("\n").filter((l) => l).map((line) => {
+            const [hash, seconds, subject] = line.split("\0");
+            return { hash, timestamp: parseInt(seconds, 10) * 1000, subject };
+        });
+    }
+
+    /**
+     * Files that differ between a checkpoint and the working tree
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Checkpoint commit
+     * @param {string[]} exclude - Paths never compared (the ones createCheckpoint leaves out)
+     * @returns {Array<{status: string, file: string}>} status: A (new since), D (deleted since) or M
+     */
+    function getCheckpointChanges(repoRoot, hash, exclude = []) {
+        try {
+            return withWorkingTreeIndex(repoRoot, exclude, (git) =>
+                git(["diff", "--cached", "--name-status", "--no-renames", hash])
+            )
+                .split("\n")
+                .filter((l) => l)
+                .map((line) => {
+                    const [status, file] = line.split("\t");
+                    return { status: status[0], file };
+                });
+        } catch (e) {
+            out.appendLine(`git-autopush: getCheckpointChanges error: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Contents of a file at a commit
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Commit
+     * @param {string} relativePath - Path relative to the repository root
+     * @returns {string|null} File contents, or null if the file is not in that commit
+     */
+    function getFileAtCommit(repoRoot, hash, relativePath) {
+        const result = spawnSync("git", ["show", `${hash}:${relativePath}`], { cwd: repoRoot, maxBuffer: 1024 * 1024 * 20 });
+        return result.status === 0 ? result.stdout.toString() : null;
+    }
+
+    /**
+     * Put files in the working tree back to their checkpoint state (the index is left alone).
+     * Files that did not exist at the checkpoint are deleted.
+     * @param {string} repoRoot - Repository root
+     * @param {string} hash - Checkpoint commit
+     * @param {Array<{status: string, file: string}>} changes - Entries from getCheckpointChanges
+     * @returns {Promise<object>} runGit result
+     */
+    async function restoreCheckpoint(repoRoot, hash, changes) {
+        for (const { file } of changes.filter((c) => c.status === "A")) {
+            fs.rmSync(path.join(repoRoot, file), { force: true });
+        }
+        const files = changes.filter((c) => c.status !== "A").map((c) => c.file);
+        if (files.length === 0) {
+            return { ok: true, code: 0, stdout: "", stderr: "" };
+        }
+        const result = await runGit(["restore", `--source=${hash}`, "--worktree", "--", ...files], repoRoot);
+        out.appendLine(`git-autopush: restore ${files.length} file(s) from ${hash.slice(0, 7)} → exit ${result.code}`);
+        return result;
+    }
+
+    /**
+     * Contents of the configured commit.template (relative paths are taken from the repository root)
+     * @param {string} repoRoot - Repository root
+     * @returns {string|null} Template text, or null if none is configured or it cannot be read
+     */
+    function getCommitTemplate(repoRoot) {
+        const result = spawnSync("git", ["config", "--path", "--get", "commit.template"], { cwd: repoRoot });
+        const file = result.status === 0 ? result.stdout.toString().trim() : "";
+        if (!file) {
+            return null;
+        }
+        try {
+            return fs.readFileSync(path.resolve(repoRoot, file), "utf8");
+        } catch (e) {
+            out.appendLine(`git-autopush: cannot read commit template ${file}: ${e.message}`);
+            return null;
+        }
+    }
+
+    return {
+        getRepoRoot,
+        getCurrentBranch,
+        isDetached,
+        isFileIgnored,
+        getHeadCommit,
+        getPushTarget,
+        getAheadCount,
+        isCommitInHead,
+        hasParent,
+        isCommitPushed,
+        getChangedFiles,
+        getStagedDiff,
+        readStagedDiff,
+        getFileDiff,
+        getFilesToCommit,
+        listCommits,
+        getRecentMessages,
+        getRangeDiff,
+        getRangeFiles,
+        getRangeTrailers,
+        getUserIdentity,
+        listAuthors,
+        runGit,
+        planCommit,
+        buildCommitCommand,
+        executeCommit,
+        pushBranch,
+        pullRebaseAndPush,
+        resetCommit,
+        revertCommit,
+        squashCommits,
+        getCheckpointRef,
+        createCheckpoint,
+        listCheckpoints,
+        getCheckpointChanges,
+        getFileAtCommit,
+        restoreCheckpoint,
+        getCommitTemplate,
+    };
+}
+
+module.exports = { createGitOperations, StagingMode };
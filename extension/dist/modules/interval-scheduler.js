@@ -0,0 +1,97 @@
+"use strict";
+/**
+ * ⏱️ INTERVAL SCHEDULER MODULE
+ * Timed commits for people who save through auto-save, format-on-save or
+ * other tools and never hit the Save & Commit shortcut
+ */
+
+// How often repositories are checked against their own interval
+const HEARTBEAT_MS = 60 * 1000;
+
+/**
+ * Creates the interval scheduler
+ * @param {object} options - Dependencies
+ * @param {object} options.repoManager - Repository manager (repos + scoped settings)
+ * @param {object} options.outputChannel - Output channel for logging
+ * @param {Function} options.onDue - async (repoRoot, config) => void, called when a repo's interval has elapsed
+ */
+function createIntervalScheduler({ repoManager, outputChannel, onDue }) {
+    const out = outputChannel;
+
+    // repoRoot → timestamp of the last interval run
+    const lastRun = new Map();
+
+    // Repositories whose interval commit is still in progress
+    const running = new Set();
+
+    const startedAt = Date.now();
+    let heartbeat = null;
+
+    /**
+     * Check every repository and run the ones whose interval has elapsed
+     */
+    async function tick() {
+        const now = Date.now();
+
+        for (const { root } of repoManager.listRepositories()) {
+            const minutes = getIntervalMinutes(root);
+            if (minutes === null) {
+                continue;
+            }
+
+            const cfg = repoManager.getConfig(root);
+            if (now - (lastRun.get(root) || startedAt) < minutes * 60 * 1000) {
+                continue;
+            }
+            lastRun.set(root, now);
+
+            // Paused (git-autopush.pause turns autoCommit off)
+            if (!cfg.get('autoCommit', false) || running.has(root)) {
+                continue;
+            }
+
+            running.add(root);
+            try {
+                out.appendLine(`git-autopush: interval check (${minutes} min) for ${repoManager.describeRepo(root)}`);
+                await onDue(root, cfg);
+            } catch (e) {
+                out.appendLine(`git-autopush: interval commit failed: ${e?.message || e}`);
+            } finally {
+                running.delete(root);
+            }
+        }
+    }
+
+    /**
+     * Start the heartbeat (idempotent)
+     */
+    function start() {
+        if (!heartbeat) {
+            heartbeat = setInterval(tick, HEARTBEAT_MS);
+        }
+    }
+
+    /**
+     * Interval for a repository, or null if interval mode is off there
+     * @param {string} repoRoot - Repository root
+     * @returns {number|null} Minutes
+     */
+    function getIntervalMinutes(repoRoot) {
+        const cfg = repoManager.getConfig(repoRoot);
+        return cfg.get('interval.enabled', false) ? Math.max(1, cfg.get('interval.minutes', 10)) : null;
+    }
+
+    function dispose() {
+        clearInterval(heartbeat);
+        heartbeat = null;
+    }
+
+    return {
+        start,
+        tick,
+        getIntervalMinutes,
+        dispose
+    };
+}
+
+module.exports = { createIntervalScheduler };
@@ -0,0 +1,185 @@
+"use strict";
+/**
+ * 🔑 KEY STORE MODULE
+ * Keeps provider API keys in VS Code SecretStorage instead of settings.json,
+ * so they are never synced, committed, or visible in screenshots
+ */
+
+const vscode = require("vscode");
+const { PROVIDERS, getProvider, resolveProviderSettings } = require('./ai-providers');
+
+const SECRET_PREFIX = 'gitAutopush.apiKey.';
+
+/**
+ * Creates a key store backed by context.secrets
+ * @param {object} options - Dependencies
+ * @param {vscode.ExtensionContext} options.context - Extension context
+ * @param {object} options.aiService - AI service (for key validation)
+ * @param {object} options.outputChannel - Output channel for logging
+ */
+function createKeyStore({ context, aiService, outputChannel }) {
+    const out = outputChannel;
+
+    /**
+     * Get the stored key for a provider
+     * @param {string} providerId - Provider id
+     * @returns {Promise<string>} Stored key or empty string
+     */
+    async function getKey(providerId) {
+        const def = getProvider(providerId);
+        return (await context.secrets.get(SECRET_PREFIX + def.id)) || '';
+    }
+
+    /**
+     * Store a key for a provider
+     * @param {string} providerId - Provider id
+     * @param {string} key - API key
+     */
+    async function setKey(providerId, key) {
+        const def = getProvider(providerId);
+        await context.secrets.store(SECRET_PREFIX + def.id, key.trim());
+        out.appendLine(`git-autopush: ${def.label} API key saved to secret storage`);
+    }
+
+    /**
+     * Delete the stored key for a provider
+     * @param {string} providerId - Provider id
+     */
+    async function deleteKey(providerId) {
+        const def = getProvider(providerId);
+        await context.secrets.delete(SECRET_PREFIX + def.id);
+        out.appendLine(`git-autopush: ${def.label} API key removed from secret storage`);
+    }
+
+    /**
+     * List providers that currently have a stored key
+     * @returns {Promise<Array>} Provider definitions
+     */
+    async function getProvidersWithKeys() {
+        const result = [];
+        for (const def of Object.values(PROVIDERS)) {
+            if (await context.secrets.get(SECRET_PREFIX + def.id)) {
+                result.push(def);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Move keys out of the legacy plain-text settings into secret storage.
+     * ai.deepseekApiKey always held an OpenRouter key; ai.apiKey belongs to
+ * whichever provider is selected. Both settings are cleared afterwards,
+     * at every level including each workspace folder's own settings.
+     */
+    async function migrateLegacyKeys() {
+        const cfg = vscode.workspace.getConfiguration('gitAutopush');
+
+        // Global and workspace values, then each folder's own value (multi-root workspaces)
+        const scopes = [
+            { cfg, levels: [['globalValue', vscode.ConfigurationTarget.Global], ['workspaceValue', vscode.ConfigurationTarget.Workspace]] },
+            ...(vscode.workspace.workspaceFolders || []).map(folder => ({
+                cfg: vscode.workspace.getConfiguration('gitAutopush', folder.uri),
+                levels: [['workspaceFolderValue', vscode.ConfigurationTarget.WorkspaceFolder]]
+            }))
+        ];
+
+        let migrated = false;
+        for (const scope of scopes) {
+            const { provider } = resolveProviderSettings(scope.cfg);
+            const legacy = [
+                { setting: 'ai.apiKey', providerId: provider.id },
+                { setting: 'ai.deepseekApiKey', providerId: 'openrouter' }
+            ];
+
+            for (const { setting, providerId } of legacy) {
+                const inspected = scope.cfg.inspect(setting) || {};
+                const targets = scope.levels
+                    .map(([level, target]) => [inspected[level], target])
+                    .filter(([value]) => typeof value === 'string' && value.trim());
+
+                for (const [value, target] of targets) {
+                    if (await getKey(providerId)) {
+                        out.appendLine(`git-autopush: ${setting} ignored — ${getProvider(providerId).label} key already stored`);
+                    } else {
+                        await setKey(providerId, value);
+                        migrated = true;
+                    }
+                    await scope.cfg.update(setting, undefined, target);
+                    out.appendLine(`git-autopush: Cleared plain-text ${setting} from settings`);
+                }
+            }
+        }
+
+        if (migrated) {
+            vscode.window.showInformationMessage(
+                'Git AutoPush: Your API key was moved from settings.json to secure storage. No action needed.'
+            );
+        }
+    }
+
+    /**
+     * Ask the user for a provider key and store it
+     * @param {object} provider - Provider definition
+     * @returns {Promise<string>} Entered key or empty string if cancelled
+     */
+    async function promptForKey(provider) {
+        const entered = await vscode.window.showInputBox({
+            prompt: `Enter your ${provider.label} API key`,
+            placeHolder: provider.keyPlaceholder,
+            ignoreFocusOut: true,
+            password: true,
+            validateInput: (v) => aiService.validateApiKey(v, provider)
+        });
+
+        if (!entered || !entered.trim()) {
+            return '';
+        }
+
+        await setKey(provider.id, entered);
+        vscode.window.showInformationMessage('API key saved securely');
+        return entered.trim();
+    }
+
+    /**
+     * Resolve provider settings plus the API key to use with them.
+     * This is the single place call sites get a key from: secret storage
+     * first, then the provider's environment variables.
+     * @param {object} cfg - vscode.WorkspaceConfiguration for 'gitAutopush'
+     * @param {object} options - Options
+     * @param {boolean} options.prompt - Ask for a key when none is found
+     * @returns {Promise<{provider: object, model: string, baseUrl: string, requiresKey: boolean, apiKey: string, available: boolean}>}
+     */
+    async function resolveApiKey(cfg, { prompt = false } = {}) {
+        const settings = resolveProviderSettings(cfg);
+        const { provider, requiresKey } = settings;
+
+        let apiKey = await getKey(provider.id);
+        if (!apiKey) {
+            const envKey = provider.envKeys.find(name => process.env[name]);
+            apiKey = envKey ? process.env[envKey] : '';
+        }
+
+        if (!apiKey && requiresKey && prompt) {
+            out.appendLine('git-autopush: No API key, prompting...');
+            apiKey = await promptForKey(provider);
+        }
+
+        return {
+            ...settings,
+            apiKey,
+            available: !!apiKey || !requiresKey
+        };
+    }
+
+    return {
+        getKey,
+        setKey,
+        deleteKey,
+        getProvidersWithKeys,
+        migrateLegacyKeys,
+        promptForKey,
+        resolveApiKey
+    };
+}
+
+module.exports = { createKeyStore };
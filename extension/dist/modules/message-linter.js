@@ -0,0 +1,170 @@
+"use strict";
+/**
+ * 🧹 MESSAGE LINTER MODULE
+ * Checks generated commit messages against the conventions the prompt asks
+ * for, so a model that ignores them gets corrected instead of committed
+ */
+
+// Types the prompt offers when conventional commits are on
+const CONVENTIONAL_TYPES = ['feat', 'fix', 'refactor', 'docs', 'style', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+const MAX_SUBJECT_LENGTH = 72;
+
+// type(scope)!: description
+const HEADER_PATTERN = /^([A-Za-z]+)(?:\(([^)]*)\))?(!)?: (.*)$/;
+
+// Lowercase words joined by - _ . or /, several scopes separated by commas
+const SCOPE_PATTERN = /^[a-z0-9][a-z0-9._/-]*(?:,\s?[a-z0-9][a-z0-9._/-]*)*$/;
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+const LEADING_EMOJI = /^\p{Extended_Pictographic}[\u{FE0F}\u{200D}\p{Extended_Pictographic}]*\s*/u;
+
+// Verbs commit subjects usually start with; their -s/-ed/-ing forms are flagged
+const COMMON_VERBS = [
+    'add', 'adjust', 'allow', 'apply', 'avoid', 'bump', 'cache', 'change', 'check', 'clean', 'configure',
+    'convert', 'correct', 'create', 'delete', 'disable', 'document', 'drop', 'enable', 'ensure', 'expose',
+    'extract', 'fix', 'format', 'handle', 'hide', 'implement', 'improve', 'include', 'increase', 'initialize',
+    'integrate', 'introduce', 'limit', 'load', 'merge', 'migrate', 'move', 'optimize', 'parse', 'prevent',
+    'reduce', 'refactor', 'register', 'remove', 'rename', 'render', 'replace', 'reset', 'resolve', 'restore',
+    'return', 'revert', 'rewrite', 'save', 'show', 'simplify', 'skip', 'sort', 'split', 'store', 'strip',
+    'support', 'switch', 'sync', 'track', 'tweak', 'update', 'upgrade', 'use', 'validate', 'wrap', 'write'
+];
+
+// Words ending in -ed that are not past tenses
+const NOT_PAST_TENSE = new Set(['embed', 'shred', 'speed', 'need', 'feed', 'seed', 'proceed', 'exceed', 'succeed']);
+
+/**
+ * Map every inflected form of the common verbs to its base form
+ * @returns {Map<string, string>}
+ */
+function buildInflections() {
+    const forms = new Map();
+    for (const verb of COMMON_VERBS) {
+        const stem = verb.endsWith('e') ? verb.slice(0, -1) : verb;
+        const candidates = verb.endsWith('y')
+            ? [`${verb.slice(0, -1)}ies`, `${verb.slice(0, -1)}ied`, `${verb}ing`]
+            : [`${verb}s`, `${verb}es`, `${stem}ed`, `${stem}ing`, `${verb}${verb.slice(-1)}ed`, `${verb}${verb.slice(-1)}ing`];
+        for (const form of candidates) {
+            if (!COMMON_VERBS.includes(form)) {
+                forms.set(form, verb);
+            }
+        }
+    }
+    return forms;
+}
+
+const INFLECTIONS = buildInflections();
+
+/**
+ * Problem with the first word of a subject, if it is not in the imperative mood
+ * @param {string} description - Subject without emoji and type prefix
+ * @returns {string|null}
+ */
+function checkImperative(description) {
+    const word = (description.match(/^[A-Za-z]+/) || [''])[0].toLowerCase();
+    if (!word) {
+        return null;
+    }
+    if (INFLECTIONS.has(word)) {
+        return `Use the imperative mood: "${INFLECTIONS.get(word)}" instead of "${word}"`;
+    }
+    if (word.length > 4 && word.endsWith('ed') && !NOT_PAST_TENSE.has(word)) {
+        return `Use the imperative mood (e.g. "add", "fix"), not the past tense "${word}"`;
+    }
+    return null;
+}
+
+/**
+ * Lint a commit message
+ * @param {string} message - Message as returned by the model (quotes and markdown already removed)
+ * @param {object} options - Options
+ * @param {boolean} options.conventionalCommits - Require a `type(scope): description` subject
+ * @param {boolean} options.useEmoji - Require a leading emoji (true) or forbid emoji (false)
+ * @param {string[]} options.types - Allowed conventional commit types
+ * @param {string[]|null} options.scopes - Allowed scopes (any well-formed scope when null)
+ * @param {number} options.maxSubjectLength - Longest allowed subject line
+ * @param {string[]} options.sections - Labels ("Why", "Refs") the commit template asks the body to contain
+ * @param {boolean} options.subjectOnly - Only the subject is kept (short style), skip body checks
+ * @returns {string[]} Problems, empty when the message passes
+ */
+function lintMessage(message, {
+    conventionalCommits = true,
+    useEmoji = true,
+    types = CONVENTIONAL_TYPES,
+    scopes = null,
+    maxSubjectLength = MAX_SUBJECT_LENGTH,
+    sections = [],
+    subjectOnly = false
+} = {}) {
+    const problems = [];
+    const lines = (message || '').replace(/\r\n?/g, '\n').split('\n');
+    const subject = (lines[0] || '').trim();
+
+    if (!subject) {
+        return ['The subject line is empty'];
+    }
+
+    const emoji = subject.match(LEADING_EMOJI);
+    const withoutEmoji = emoji ? subject.slice(emoji[0].length) : subject;
+    if (useEmoji && !emoji) {
+        problems.push('Start the subject with one emoji that matches the change type');
+    } else if (!useEmoji && EMOJI.test(message)) {
+        problems.push('Remove all emoji — emoji are turned off');
+    }
+
+    let description = withoutEmoji;
+    if (conventionalCommits) {
+        const header = withoutEmoji.match(HEADER_PATTERN);
+        if (!header) {
+            problems.push('Start the subject with a conventional commit prefix: "type(scope): description" or "type: description"');
+        } else {
+            const [, type, scope, , rest] = header;
+            description = rest;
+            if (!types.includes(type)) {
+                problems.push(`Unknown type "${type}" — use one of: ${types.join(', ')}`);
+            }
+            if (scope !== undefined && !SCOPE_PATTERN.test(scope)) {
+                problems.push(`Invalid scope "(${scope})" — use a short lowercase name like (auth) or (api-client), or leave it out`);
+            } else if (scope !== undefined && scopes) {
+                const unknown = scope.split(',').map(s => s.trim()).filter(s => !scopes.includes(s));
+                if (unknown.length > 0) {
+                    problems.push(`Scope "${unknown.join(', ')}" is not allowed — use one of: ${scopes.join(', ')}, or leave it out`);
+                }
+            }
+            if (!rest.trim()) {
+                problems.push('Add a description after the type prefix');
+            }
+        }
+    }
+
+    const imperative = checkImperative(description.trim());
+    if (imperative) {
+        problems.push(imperative);
+    }
+
+    if (/\.\s*$/.test(subject)) {
+        problems.push('Remove the period at the end of the subject');
+    }
+
+    if (subject.length > maxSubjectLength) {
+        problems.push(`Shorten the subject to ${maxSubjectLength} characters or fewer (it has ${subject.length})`);
+    }
+
+    if (!subjectOnly && lines.length > 1 && lines[1].trim()) {
+        problems.push('Leave a blank line between the subject and the body');
+    }
+
+    if (!subjectOnly) {
+        const missing = sections.filter(label => !lines.slice(1).some(line => line.trim().toLowerCase().startsWith(`${label.toLowerCase()}:`)));
+        if (missing.length > 0) {
+            problems.push(`Fill in the commit template's ${missing.map(l => `"${l}:"`).join(', ')} section(s)`);
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    CONVENTIONAL_TYPES,
+    lintMessage
+};
@@ -0,0 +1,80 @@
+"use strict";
+/**
+ * 👥 PAIRING SESSION MODULE
+ * Remembers who you are pairing with (per workspace, across reloads) so
+ * every commit the extension makes credits them with Co-authored-by
+ */
+
+const STATE_KEY = 'gitAutopush.pairing';
+
+/**
+ * Creates the pairing session
+ * @param {object} options - Dependencies
+ * @param {vscode.ExtensionContext} options.context - Extension context (workspaceState persistence)
+ * @param {object} options.outputChannel - Output channel for logging
+ * @param {Function} options.onChange - Called when the session starts, changes or ends
+ */
+function createPairingSession({ context, outputChannel, onChange }) {
+    const out = outputChannel;
+
+    /**
+     * Current co-authors (empty when no session is running)
+     * @returns {Array<{name: string, email: string}>}
+     */
+    function getCoAuthors() {
+        return context.workspaceState.get(STATE_KEY, null)?.coAuthors || [];
+    }
+
+    function isActive() {
+        return getCoAuthors().length > 0;
+    }
+
+    /**
+     * Start a session, or change who is in the running one
+     * @param {Array<{name: string, email: string}>} coAuthors - People to credit
+     */
+    async function start(coAuthors) {
+        const startedAt = context.workspaceState.get(STATE_KEY, null)?.startedAt || Date.now();
+        await context.workspaceState.update(STATE_KEY, { coAuthors, startedAt });
+        out.appendLine(`git-autopush: pairing with ${describe(coAuthors)}`);
+        onChange();
+    }
+
+    async function end() {
+        await context.workspaceState.update(STATE_KEY, undefined);
+        out.appendLine('git-autopush: pairing session ended');
+        onChange();
+    }
+
+    /**
+     * Co-authored-by trailers for the current session
+     * @returns {string[]}
+     */
+    function getTrailers() {
+        return getCoAuthors().map(a => `Co-authored-by: ${a.name} <${a.email}>`);
+    }
+
+    /**
+     * First names for the status bar: "Alice", "Alice & Bob", "Alice +2"
+     * @param {Array<{name: string}>} coAuthors - Co-authors (defaults to the current ones)
+     * @returns {string}
+     */
+    function describe(coAuthors = getCoAuthors()) {
+        const names = coAuthors.map(a => a.name.split(/\s+/)[0]);
+        if (names.length <= 2) {
+            return names.join(' & ');
+        }
+        return `${names[0]} +${names.length - 1}`;
+    }
+
+    return {
+        getCoAuthors,
+        isActive,
+        start,
+        end,
+        getTrailers,
+        describe
+    };
+}
+
+module.exports = { createPairingSession };
@@ -0,0 +1,201 @@
+"use strict";
+/**
+ * 📮 PUSH QUEUE MODULE
+ * Remembers pushes that failed (offline, VPN down, auth prompt) and retries
+ * them with backoff, when the window regains focus, or on demand
+ */
+
+const vscode = require("vscode");
+
+const STATE_KEY = 'gitAutopush.pendingPushes';
+
+// Retry delays: 30s, 1m, 2m, 4m ... capped at 30 minutes
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+
+// Focus changes come in bursts; don't retry more often than this
+const FOCUS_RETRY_GAP_MS = 10 * 1000;
+
+/**
+ * Creates the push queue
+ * @param {object} options - Dependencies
+ * @param {vscode.ExtensionContext} options.context - Extension context (workspaceState persistence)
+ * @param {object} options.gitOps - Git operations instance
+ * @param {object} options.outputChannel - Output channel for logging
+ * @param {Function} options.onChange - Called when the queue changes
+ * @param {Function} options.onRejected - ({ repoRoot, branch, pushTarget }) => void for non-fast-forward rejections
+ */
+function createPushQueue({ context, gitOps, outputChannel, onChange, onRejected }) {
+    const out = outputChannel;
+
+    let timer = null;
+    let inFlight = null;
+    let lastFocusRetry = 0;
+
+    /**
+     * Queued pushes: [{ repoRoot, branch, remote, queuedAt, attempts, nextAttempt, lastError }]
+     * @returns {Array}
+     */
+    function getEntries() {
+        return context.workspaceState.get(STATE_KEY, []);
+    }
+
+    async function saveEntries(entries) {
+        await context.workspaceState.update(STATE_KEY, entries);
+        schedule(entries);
+        onChange();
+    }
+
+    /**
+     * Queue a branch for pushing (one entry per repository and branch)
+     * @param {object} options - Options
+     * @param {string} options.repoRoot - Repository root
+     * @param {string} options.branch - Local branch
+     * @param {string} options.remote - Preferred remote ('' for automatic)
+     * @param {string} options.error - Why the push failed
+     */
+    async function enqueue({ repoRoot, branch, remote = '', error }) {
+        const entries = getEntries().filter(e => !(e.repoRoot === repoRoot && e.branch === branch));
+        entries.push({
+            repoRoot,
+            branch,
+            remote,
+            queuedAt: Date.now(),
+            attempts: 0,
+            nextAttempt: Date.now() + BASE_DELAY_MS,
+            lastError: error || null
+        });
+        out.appendLine(`git-autopush: push queued for ${branch} (${entries.length} pending)`);
+        await saveEntries(entries);
+    }
+
+    /**
+     * Retry queued pushes. A call made while a retry is running waits for it;
+     * a forced call then retries whatever that run left behind.
+     * @param {object} options - Options
+     * @param {boolean} options.force - Ignore the backoff and retry every entry
+     * @returns {Promise<{pushed: number, failed: number}>}
+     */
+    function retry({ force = false } = {}) {
+        if (inFlight) {
+            if (!force) {
+                return inFlight;
+            }
+            return inFlight.then(first => retry({ force }).then(second => ({
+                pushed: first.pushed + second.pushed,
+                failed: second.failed
+            })));
+        }
+
+        inFlight = runRetry(force).finally(() => {
+            inFlight = null;
+        });
+        return inFlight;
+    }
+
+    async function runRetry(force) {
+        let pushed = 0;
+        let failed = 0;
+        const now = Date.now();
+        const remaining = [];
+
+        for (const entry of getEntries()) {
+            if (!force && entry.nextAttempt > now) {
+                remaining.push(entry);
+                continue;
+            }
+
+            const result = await gitOps.pushBranch(entry.repoRoot, entry.branch, entry.remote);
+
+            if (result.ok) {
+                pushed++;
+                vscode.window.showInformationMessage(
+                    `$(cloud-upload) Git AutoPush: Pushed queued commits to ${result.pushTarget.remote}/${result.pushTarget.remoteBranch}`
+                );
+            } else if (result.rejected) {
+                // Retrying cannot fix this on its own — hand it to the user
+                failed++;
+                onRejected({ repoRoot: entry.repoRoot, branch: entry.branch, pushTarget: result.pushTarget });
+            } else {
+                failed++;
+                const attempts = entry.attempts + 1;
+                remaining.push({
+                    ...entry,
+                    attempts,
+                    nextAttempt: Date.now() + Math.min(BASE_DELAY_MS * 2 ** attempts, MAX_DELAY_MS),
+                    lastError: result.error
+                });
+                out.appendLine(`git-autopush: queued push for ${entry.branch} failed (attempt ${attempts}): ${result.error}`);
+            }
+        }
+
+        // Keep anything enqueued while the retries were running
+        const fresh = getEntries().filter(e => e.queuedAt > now);
+        const key = (e) => `${e.repoRoot}\0${e.branch}`;
+        const freshKeys = new Set(fresh.map(key));
+        await saveEntries([...remaining.filter(e => !freshKeys.has(key(e))), ...fresh]);
+
+        return { pushed, failed };
+    }
+
+    /**
+     * Arm a single timer for the earliest due entry
+     */
+    function schedule(entries = getEntries()) {
+        clearTimeout(timer);
+        timer = null;
+        if (entries.length === 0) {
+            return;
+        }
+        const next = Math.min(...entries.map(e => e.nextAttempt));
+        timer = setTimeout(() => retry(), Math.max(1000, next - Date.now()));
+    }
+
+    /**
+     * Retry immediately when the window regains focus (the network often came back with the user)
+     * @param {vscode.WindowState} windowState - New window state
+     */
+    function onWindowFocus(windowState) {
+        if (!windowState.focused || getEntries().length === 0) {
+            return;
+        }
+        if (Date.now() - lastFocusRetry < FOCUS_RETRY_GAP_MS) {
+            return;
+        }
+        lastFocusRetry = Date.now();
+        retry({ force: true });
+    }
+
+    /**
+     * Number of queued pushes for a repository
+     * @param {string} repoRoot - Repository root
+     * @returns {number}
+     */
+    function getPendingCount(repoRoot) {
+        return getEntries().filter(e => e.repoRoot === repoRoot).length;
+    }
+
+    /**
+     * Start retrying anything left over from a previous session
+     */
+    function start() {
+        schedule();
+    }
+
+    function dispose() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        enqueue,
+        retry,
+        getEntries,
+        getPendingCount,
+        onWindowFocus,
+        start,
+        dispose
+    };
+}
+
+module.exports = { createPushQueue };
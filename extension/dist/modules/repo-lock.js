@@ -0,0 +1,58 @@
+"use strict";
+/**
+ * 🔐 REPO LOCK MODULE
+ * One commit at a time per repository: save, batch and interval commits
+ * queue behind each other instead of racing for .git/index.lock or
+ * amending a commit that another path is still making
+ */
+
+/**
+ * Creates the per-repository commit lock
+ */
+function createRepoLock() {
+    // repoRoot → promise that settles when the last queued task is done
+    const tails = new Map();
+
+    // repoRoot → number of tasks running or waiting
+    const pending = new Map();
+
+    /**
+     * Run a task once every earlier task for the repository has finished
+     * @param {string} repoRoot - Repository root
+     * @param {Function} task - async () => any
+     * @returns {Promise<any>} The task's result
+     */
+    function run(repoRoot, task) {
+        const previous = tails.get(repoRoot) || Promise.resolve();
+        pending.set(repoRoot, (pending.get(repoRoot) || 0) + 1);
+
+        const result = previous.then(() => task());
+        const tail = result.then(() => {}, () => {}).then(() => {
+            const left = pending.get(repoRoot) - 1;
+            if (left > 0) {
+                pending.set(repoRoot, left);
+            } else {
+                pending.delete(repoRoot);
+                tails.delete(repoRoot);
+            }
+        });
+        tails.set(repoRoot, tail);
+        return result;
+    }
+
+    /**
+     * Whether a commit is running or waiting for the repository
+     * @param {string} repoRoot - Repository root
+     * @returns {boolean}
+     */
+    function isBusy(repoRoot) {
+        return pending.has(repoRoot);
+    }
+
+    return {
+        run,
+        isBusy
+    };
+}
+
+module.exports = { createRepoLock };
@@ -0,0 +1,192 @@
+"use strict";
+/**
+ * 📁 REPOSITORIES MODULE
+ * Resolves which git repository a document belongs to and tracks the
+ * repository that workspace-level commands (status bar, PR) act on.
+ * Supports multi-root workspaces and repositories nested inside folders.
+ */
+
+const vscode = require("vscode");
+const path = require("path");
+
+/**
+ * Creates a repository manager
+ * @param {object} options - Dependencies
+ * @param {object} options.gitOps - Git operations instance
+ * @param {object} options.outputChannel - Output channel for logging
+ */
+function createRepositoryManager({ gitOps, outputChannel }) {
+    const out = outputChannel;
+
+    // Directory → repo root (positive results only, so `git init` is picked up later)
+    const rootCache = new Map();
+
+    // Repositories seen through saves, even if no editor is open on them anymore
+    const knownRoots = new Set();
+
+    // Repository explicitly chosen from the quick actions menu (overrides the active editor)
+    let pinnedRoot = null;
+
+    /**
+     * Get the repository root containing a file
+     * @param {string} fsPath - File path
+     * @returns {string|null} Repository root or null
+     */
+    function getRepoForPath(fsPath) {
+        return getRepoForDirectory(path.dirname(fsPath));
+    }
+
+    /**
+     * Get the repository root containing a directory (cached)
+     * @param {string} dir - Directory path
+     * @returns {string|null} Repository root or null
+     */
+    function getRepoForDirectory(dir) {
+        if (rootCache.has(dir)) {
+            return rootCache.get(dir);
+        }
+
+        const root = gitOps.getRepoRoot(dir);
+        if (root) {
+            rootCache.set(dir, root);
+            knownRoots.add(root);
+        }
+        return root;
+    }
+
+    /**
+     * Get the repository root for a document URI (file scheme only)
+     * @param {vscode.Uri} uri - Document URI
+     * @returns {string|null} Repository root or null
+     */
+    function getRepoForUri(uri) {
+        if (!uri || uri.scheme !== 'file') {
+            return null;
+        }
+        return getRepoForPath(uri.fsPath);
+    }
+
+    /**
+     * List repositories in the workspace: one per workspace folder plus any
+     * nested repositories that open documents or earlier saves revealed
+     * @returns {Array<{root: string, name: string}>}
+     */
+    function listRepositories() {
+        const roots = new Set();
+
+        for (const folder of vscode.workspace.workspaceFolders || []) {
+            const root = getRepoForDirectory(folder.uri.fsPath);
+            if (root) roots.add(root);
+        }
+        for (const doc of vscode.workspace.textDocuments) {
+            const root = getRepoForUri(doc.uri);
+            if (root) roots.add(root);
+        }
+        for (const root of knownRoots) {
+            roots.add(root);
+        }
+
+        return Array.from(roots).map(root => ({ root, name: describeRepo(root) }));
+    }
+
+    /**
+     * Short display name: the workspace-relative path for nested repos,
+     * otherwise the folder name
+     * @param {string} root - Repository root
+     * @returns {string}
+     */
+    function describeRepo(root) {
+        const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(root));
+        if (folder && folder.uri.fsPath !== root) {
+            return `${folder.name}/${path.relative(folder.uri.fsPath, root).split(path.sep).join('/')}`;
+        }
+        return path.basename(root);
+    }
+
+    /**
+     * Repository the status bar and workspace-level commands act on:
+     * the pinned one, else the active editor's, else the first in the workspace
+     * @returns {string|null} Repository root or null
+     */
+    function getActiveRepository() {
+        if (pinnedRoot) {
+            return pinnedRoot;
+        }
+
+        const editorRoot = getRepoForUri(vscode.window.activeTextEditor?.document.uri);
+        if (editorRoot) {
+            return editorRoot;
+        }
+
+        return listRepositories()[0]?.root || null;
+    }
+
+    /**
+     * Pin a repository (null to follow the active editor again)
+     * @param {string|null} root - Repository root
+     */
+    function setActiveRepository(root) {
+        pinnedRoot = root;
+        out.appendLine(`git-autopush: active repository → ${root || 'follow active editor'}`);
+    }
+
+    /**
+     * Whether the active repository is pinned rather than following the editor
+     * @returns {boolean}
+     */
+    function isPinned() {
+        return !!pinnedRoot;
+    }
+
+    /**
+     * Let the user choose a repository; skips the prompt when there is only one
+     * @param {object} options - Options
+     * @param {string} options.placeHolder - Quick pick placeholder
+     * @returns {Promise<string|undefined>} Repository root, or undefined if cancelled
+     */
+    async function pickRepository({ placeHolder = 'Select repository' } = {}) {
+        const repos = listRepositories();
+        if (repos.length === 0) {
+            return undefined;
+        }
+        if (repos.length === 1) {
+            return repos[0].root;
+        }
+
+        const active = getActiveRepository();
+        const items = repos
+            .map(repo => ({
+                label: `$(repo) ${repo.name}`,
+                description: repo.root === active ? 'active' : '',
+                detail: repo.root,
+                root: repo.root
+            }))
+            .sort((a, b) => (b.root === active) - (a.root === active));
+
+        const picked = await vscode.window.showQuickPick(items, { placeHolder });
+        return picked?.root;
+    }
+
+    /**
+     * Configuration scoped to a repository's workspace folder
+     * @param {string|null} root - Repository root
+     * @returns {vscode.WorkspaceConfiguration}
+     */
+    function getConfig(root) {
+        return vscode.workspace.getConfiguration('gitAutopush', root ? vscode.Uri.file(root) : undefined);
+    }
+
+    return {
+        getRepoForPath,
+        getRepoForUri,
+        listRepositories,
+        describeRepo,
+        getActiveRepository,
+        setActiveRepository,
+        isPinned,
+        pickRepository,
+        getConfig
+    };
+}
+
+module.exports = { createRepositoryManager };
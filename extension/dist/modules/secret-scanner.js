@@ -0,0 +1,171 @@
+"use strict";
+/**
+ * 🔒 SECRET SCANNER MODULE
+ * Looks for credentials in the lines a commit adds, so secrets are caught
+ * by content and not only by file name
+ */
+
+const { splitDiff } = require('./diff-parser');
+
+// Lines carrying this marker are never reported (inline allowlist)
+const ALLOW_MARKER = 'autopush:allow-secret';
+
+/**
+ * Built-in detection rules
+ * - pattern: regex run against each added line (group 1, if present, is the secret)
+ */
+const SECRET_RULES = [
+    { id: 'aws-access-key', label: 'AWS access key', pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/ },
+    { id: 'aws-secret-key', label: 'AWS secret key', pattern: /aws.{0,20}?(?:secret|key).{0,20}?['"=:\s]([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/i },
+    { id: 'private-key', label: 'Private key block', pattern: /(-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----)/ },
+    { id: 'github-token', label: 'GitHub token', pattern: /\b((?:gh[pousr]_[A-Za-z0-9]{36,})|(?:github_pat_[A-Za-z0-9_]{22,}))\b/ },
+    { id: 'openrouter-key', label: 'OpenRouter API key', pattern: /\b(sk-or-(?:v1-)?[A-Za-z0-9]{32,})\b/ },
+    { id: 'jwt', label: 'JSON Web Token', pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/ }
+];
+
+// Candidate values for the entropy check: quoted strings and unquoted assignments (.env style)
+const ENTROPY_CANDIDATES = /['"`]([A-Za-z0-9+/=_-]{32,})['"`]|[=:]\s*([A-Za-z0-9+/=_-]{32,})\s*$/g;
+const ENTROPY_THRESHOLD = 4.5;
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} text - Input string
+ * @returns {number}
+ */
+function shannonEntropy(text) {
+    const counts = {};
+    for (const ch of text) {
+        counts[ch] = (counts[ch] || 0) + 1;
+    }
+    let entropy = 0;
+    for (const count of Object.values(counts)) {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Whether a value looks like a random token rather than a word, path or hex hash
+ * @param {string} value - Candidate value
+ * @returns {boolean}
+ */
+function isHighEntropy(value) {
+    // Needs mixed case and digits; hex digests top out at 4 bits/char anyway
+    if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/[0-9]/.test(value)) {
+        return false;
+    }
+    return shannonEntropy(value) >= ENTROPY_THRESHOLD;
+}
+
+/**
+ * Compile user-supplied regex strings, skipping invalid ones
+ * @param {string[]} sources - Regex sources from settings
+ * @returns {{patterns: RegExp[], invalid: string[]}}
+ */
+function compilePatterns(sources = []) {
+    const patterns = [];
+    const invalid = [];
+    for (const source of sources) {
+        try {
+            patterns.push(new RegExp(source));
+        } catch (e) {
+            invalid.push(source);
+        }
+    }
+    return { patterns, invalid };
+}
+
+/**
+ * Shorten a secret for display so the report itself does not leak it
+ * @param {string} value - Matched secret
+ * @returns {string}
+ */
+function redact(value) {
+    return value.length <= 8 ? '****' : `${value.slice(0, 4)}…${value.slice(-2)}`;
+}
+
+/**
+ * Yield the added lines of a unified diff with their new-file line numbers
+ * @param {string} diffText - Output of `git diff`
+ * @returns {Array<{file: string, line: number, text: string}>}
+ */
+function getAddedLines(diffText) {
+    const added = [];
+
+    for (const { file, hunks } of splitDiff(diffText)) {
+        for (const hunk of hunks) {
+            let lineNo = hunk.newStart;
+            for (const raw of hunk.lines) {
+                if (raw[0] === '+') {
+                    added.push({ file, line: lineNo, text: raw.slice(1) });
+                    lineNo++;
+                } else if (raw[0] === ' ') {
+                    lineNo++;
+                }
+            }
+        }
+    }
+
+    return added;
+}
+
+/**
+ * Scan the added lines of a diff for secrets
+ * @param {string} diffText - Output of `git diff`
+ * @param {object} options - Options
+ * @param {RegExp[]} options.customPatterns - Extra patterns from settings
+ * @param {RegExp[]} options.allowlist - Matches (or whole lines) to ignore
+ * @param {boolean} options.entropy - Also report high-entropy strings
+ * @returns {Array<{file: string, line: number, rule: string, label: string, preview: string}>}
+ */
+function scanDiff(diffText, { customPatterns = [], allowlist = [], entropy = true } = {}) {
+    const findings = [];
+
+    const rules = [
+        ...SECRET_RULES,
+        ...customPatterns.map((pattern, i) => ({ id: `custom-${i + 1}`, label: `Custom pattern ${pattern.source}`, pattern }))
+    ];
+
+    for (const { file, line, text } of getAddedLines(diffText)) {
+        if (text.includes(ALLOW_MARKER)) {
+            continue;
+        }
+
+        const allowed = (value) => allowlist.some(re => re.test(value) || re.test(text));
+        const report = (rule, value) => {
+            if (!allowed(value)) {
+                findings.push({ file, line, rule: rule.id, label: rule.label, preview: redact(value) });
+            }
+        };
+
+        let matched = false;
+        for (const rule of rules) {
+            const m = text.match(rule.pattern);
+            if (m) {
+                report(rule, m[1] || m[0]);
+                matched = true;
+            }
+        }
+
+        if (entropy && !matched) {
+            for (const m of text.matchAll(ENTROPY_CANDIDATES)) {
+                const value = m[1] || m[2];
+                if (isHighEntropy(value)) {
+                    report({ id: 'high-entropy', label: 'High-entropy string' }, value);
+                    break;
+                }
+            }
+        }
+    }
+
+    return findings;
+}
+
+module.exports = {
+    SECRET_RULES,
+    ALLOW_MARKER,
+    scanDiff,
+    compilePatterns,
+    shannonEntropy
+};
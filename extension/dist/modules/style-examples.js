@@ -0,0 +1,78 @@
+"use strict";
+/**
+ * 🎓 STYLE EXAMPLES MODULE
+ * Samples recent commit messages from a repository's own history so the AI
+ * can copy its house style (casing, scope names, ticket prefixes, tense)
+ */
+
+const { isSmartMessage } = require('./message-picker');
+
+// A sample is reused for this long before git log is read again
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Read this many commits per wanted example, so filtering still leaves enough
+const OVERSAMPLE = 3;
+
+// Long bodies are cut; the style shows in the first few lines
+const MAX_EXAMPLE_LINES = 6;
+
+/**
+ * Creates the style example sampler
+ * @param {object} options - Dependencies
+ * @param {object} options.gitOps - Git operations instance
+ * @param {object} options.undoStack - Commits the extension made (to leave them out)
+ * @param {object} options.outputChannel - Output channel for logging
+ */
+function createStyleExamples({ gitOps, undoStack, outputChannel }) {
+    const out = outputChannel;
+
+    // repoRoot → { key, at, examples }
+    const cache = new Map();
+
+    /**
+     * Whether a commit was most likely made by this extension
+     * @param {{hash: string, message: string}} commit - Commit from git log
+     * @param {Set<string>} ownHashes - Hashes recorded in the undo stack
+     * @returns {boolean}
+     */
+    function isOwnCommit(commit, ownHashes) {
+        const subject = commit.message.split('\n')[0];
+        return ownHashes.has(commit.hash) || isSmartMessage(subject);
+    }
+
+    /**
+     * Recent commit messages to show the AI as style examples
+     * @param {string} repoRoot - Repository root
+     * @param {object} options - Options
+     * @param {number} options.count - Number of examples (0 turns them off)
+     * @param {boolean} options.excludeOwn - Leave out commits made by this extension
+     * @returns {string[]} Messages, newest first
+     */
+    function getExamples(repoRoot, { count = 10, excludeOwn = true } = {}) {
+        if (count <= 0) {
+            return [];
+        }
+
+        const key = `${count}:${excludeOwn}`;
+        const cached = cache.get(repoRoot);
+        if (cached && cached.key === key && Date.now() - cached.at < CACHE_TTL_MS) {
+            return cached.examples;
+        }
+
+        const ownHashes = new Set(undoStack.getEntries(repoRoot).map(e => e.hash));
+        const examples = gitOps.getRecentMessages(repoRoot, count * OVERSAMPLE)
+            .filter(commit => commit.message && !(excludeOwn && isOwnCommit(commit, ownHashes)))
+            .slice(0, count)
+            .map(commit => commit.message.split('\n').slice(0, MAX_EXAMPLE_LINES).join('\n').trim());
+
+        cache.set(repoRoot, { key, at: Date.now(), examples });
+        out.appendLine(`git-autopush: sampled ${examples.length} style example(s) from git log`);
+        return examples;
+    }
+
+    return {
+        getExamples
+    };
+}
+
+module.exports = { createStyleExamples };
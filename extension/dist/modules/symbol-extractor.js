@@ -0,0 +1,283 @@
+"use strict";
+/**
+ * 🔎 SYMBOL EXTRACTOR MODULE
+ * Finds the functions, classes and methods a diff adds, removes or modifies
+ * (JS/TS, Python, Go, Java, Rust) from hunk headers and the surrounding code
+ */
+
+const path = require('path');
+
+// Words that look like a call or method header but are control flow
+const KEYWORDS = new Set([
+    'if', 'else', 'for', 'foreach', 'while', 'do', 'switch', 'case', 'catch', 'try', 'finally', 'return',
+    'function', 'new', 'typeof', 'await', 'yield', 'super', 'this', 'throw', 'with', 'match', 'loop', 'synchronized'
+]);
+
+// Per-language definition patterns; the first capture group is the name unless nameGroup says otherwise.
+// methodWhenIndented: an indented definition is a method (Python def, Rust fn inside impl/trait).
+const LANGUAGES = {
+    javascript: {
+        extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'],
+        definitions: [
+            { kind: 'class', pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:class|interface|enum)\s+([A-Za-z_$][\w$]*)/ },
+            { kind: 'function', pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*[(<]/ },
+            { kind: 'function', pattern: /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/ },
+            { kind: 'method', pattern: /^\s+(?:(?:public|private|protected|static|async|readonly|override|abstract|get|set)\s+)*\*?([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\([^)]*\)\s*(?::\s*[^{=]+)?\{\s*$/ }
+        ]
+    },
+    python: {
+        extensions: ['.py', '.pyi'],
+        definitions: [
+            { kind: 'class', pattern: /^\s*class\s+([A-Za-z_]\w*)/ },
+            { kind: 'function', methodWhenIndented: true, pattern: /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/ }
+        ]
+    },
+    go: {
+        extensions: ['.go'],
+        definitions: [
+            { kind: 'method', nameGroup: 2, ownerGroup: 1, pattern: /^func\s+\(\s*(?:\w+\s+)?\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*\)\s*([A-Za-z_]\w*)\s*[[(]/ },
+            { kind: 'function', pattern: /^func\s+([A-Za-z_]\w*)\s*[[(]/ },
+            { kind: 'class', pattern: /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+(?:struct|interface)\b/ }
+        ]
+    },
+    java: {
+        extensions: ['.java'],
+        definitions: [
+            { kind: 'class', pattern: /^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|private|protected|static|final|abstract|sealed|non-sealed|strictfp)\s+)*(?:class|interface|enum|record|@interface)\s+([A-Za-z_$][\w$]*)/ },
+            { kind: 'method', pattern: /^\s+(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|private|protected|static|final|abstract|synchronized|native|default|strictfp)\s+)*(?:<[^>]+>\s+)?(?:(?!new\s)[\w$.]+(?:<[^()]*>)?(?:\[\])*\s+)?([A-Za-z_$][\w$]*)\s*\([^;{}]*\)?\s*(?:throws\s+[\w$.,\s]+)?\{?\s*$/ }
+        ]
+    },
+    rust: {
+        extensions: ['.rs'],
+        definitions: [
+            { kind: 'function', methodWhenIndented: true, pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:default\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s+"[^"]*"\s+)?fn\s+([A-Za-z_]\w*)/ },
+            { kind: 'class', pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|union)\s+([A-Za-z_]\w*)/ },
+            { kind: 'class', pattern: /^\s*(?:unsafe\s+)?impl(?:<[^>]*>)?\s+(?:[\w:]+(?:<[^>]*>)?\s+for\s+)?([A-Za-z_]\w*)/ }
+        ]
+    }
+};
+
+// Lines that only close a block ("}", "});") belong to the definition above them
+const CLOSING_LINE = /^\s*[}\])]+[;,)]*\s*$/;
+
+/**
+ * Language of a file, by extension
+ * @param {string} fileName - File path
+ * @returns {string|null} Key of LANGUAGES, or null if unsupported
+ */
+function getLanguage(fileName) {
+    const ext = path.extname(fileName || '').toLowerCase();
+    return Object.keys(LANGUAGES).find(id => LANGUAGES[id].extensions.includes(ext)) || null;
+}
+
+/**
+ * Indentation width (tabs count as four spaces)
+ * @param {string} line - Source line
+ * @returns {number}
+ */
+function indentOf(line) {
+    const leading = line.match(/^[ \t]*/)[0];
+    return leading.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Definition on a source line, if there is one
+ * @param {string} line - Source line (without the diff marker)
+ * @param {string} language - Key of LANGUAGES
+ * @returns {{name: string, kind: string, owner: string|null, indent: number}|null}
+ */
+function findDefinition(line, language) {
+    const indent = indentOf(line);
+    for (const def of LANGUAGES[language].definitions) {
+        const match = line.match(def.pattern);
+        if (!match) {
+            continue;
+        }
+        const name = match[def.nameGroup || 1];
+        if (KEYWORDS.has(name)) {
+            continue;
+        }
+        return {
+            name,
+            kind: def.methodWhenIndented && indent > 0 ? 'method' : def.kind,
+            owner: def.ownerGroup ? match[def.ownerGroup] : null,
+            indent
+        };
+    }
+    return null;
+}
+
+/**
+ * Walk up from a line to the definition that encloses it, and for methods
+ * to the class (impl, struct) that owns it
+ * @param {string[]} lines - Source lines
+ * @param {number} start - Index to start looking at (going up)
+ * @param {number} indent - Indentation of the line being placed
+ * @param {string} language - Key of LANGUAGES
+ * @param {boolean} ownerOnly - Only look for the owning class (the line is itself a method)
+ * @returns {{name: string, kind: string, owner: string|null}|null} Enclosing symbol, or { owner } when ownerOnly
+ */
+function findEnclosing(lines, start, indent, language, ownerOnly = false) {
+    let threshold = indent;
+    let symbol = ownerOnly ? { owner: null } : null;
+
+    for (let i = Math.min(start, lines.length - 1); i >= 0 && threshold > 0; i--) {
+        const text = lines[i];
+        if (!text.trim() || indentOf(text) >= threshold) {
+            continue;
+        }
+
+        const def = findDefinition(text, language);
+        if (symbol && def?.kind === 'class') {
+            symbol.owner = def.name;
+            return symbol;
+        }
+        if (!symbol && def) {
+            symbol = { name: def.name, kind: def.kind, owner: def.owner };
+            if (def.kind !== 'method' || def.owner) {
+                return symbol;
+            }
+        }
+        threshold = indentOf(text);
+    }
+
+    return symbol;
+}
+
+/**
+ * Symbols touched by one file's hunks
+ * @param {object} fileDiff - Entry from splitDiff
+ * @param {string|null} content - Current contents of the file, for finding the function around a hunk
+ * @returns {{added: Array, removed: Array, modified: Array}}
+ */
+function extractFileSymbols(fileDiff, content) {
+    const language = getLanguage(fileDiff.file);
+    const result = { added: [], removed: [], modified: [] };
+    if (!language) {
+        return result;
+    }
+
+    const fileLines = typeof content === 'string' ? content.split(/\r?\n/) : null;
+    const added = new Map();
+    const removed = new Map();
+    const touched = new Map();
+    const key = (s) => `${s.owner || ''}.${s.name}`;
+    const remember = (map, symbol) => map.set(key(symbol), { name: symbol.name, kind: symbol.kind, owner: symbol.owner || null, file: fileDiff.file });
+
+    for (const hunk of fileDiff.hunks) {
+        // The whole file gives the real surroundings; without it (or if it no longer
+        // matches the diff) use the hunk's own new-side lines below git's function header
+        let newLine = hunk.newStart;
+        const aligned = fileLines && hunk.lines.every(line => {
+            if (line[0] === ' ' || line[0] === '+') {
+                return fileLines[newLine++ - 1] === line.slice(1);
+            }
+            return true;
+        });
+        const view = aligned ? fileLines : (hunk.header ? [hunk.header] : []);
+        let position = aligned ? hunk.newStart - 1 : view.length;
+
+        // Removed definition whose body the following removed lines belong to
+        let removedScope = null;
+
+        for (const line of hunk.lines) {
+            const marker = line[0];
+            const text = line.slice(1);
+
+            if (marker === '\\') {
+                continue;
+            }
+            if (marker === ' ') {
+                if (!aligned) view.push(text);
+                position++;
+                removedScope = null;
+                continue;
+            }
+
+            const def = text.trim() ? findDefinition(text, language) : null;
+
+            if (marker === '+') {
+                if (!aligned) view.push(text);
+                removedScope = null;
+                if (def) {
+                    const owner = def.owner || (def.kind === 'method' ? findEnclosing(view, position - 1, def.indent, language, true).owner : null);
+                    remember(added, { ...def, owner });
+                } else if (text.trim() && !CLOSING_LINE.test(text)) {
+                    const enclosing = findEnclosing(view, position - 1, indentOf(text), language);
+                    if (enclosing) remember(touched, enclosing);
+                }
+                position++;
+                continue;
+            }
+
+            // Removed line: placed between the new-side lines around it
+            if (def) {
+                const owner = def.owner || (def.kind === 'method' ? findEnclosing(view, position - 1, def.indent, language, true).owner : null);
+                remember(removed, { ...def, owner });
+                removedScope = def;
+            } else if (removedScope && (!text.trim() || indentOf(text) > removedScope.indent || CLOSING_LINE.test(text))) {
+                // Body of a removed definition
+            } else if (text.trim() && !CLOSING_LINE.test(text)) {
+                removedScope = null;
+                const enclosing = findEnclosing(view, position - 1, indentOf(text), language);
+                if (enclosing) remember(touched, enclosing);
+            }
+        }
+    }
+
+    // Defined on both sides: the signature changed
+    for (const [k, symbol] of added) {
+        if (removed.has(k)) {
+            added.delete(k);
+            removed.delete(k);
+            touched.set(k, symbol);
+        }
+    }
+
+    result.added = [...added.values()];
+    result.removed = [...removed.values()];
+    result.modified = [...touched.entries()].filter(([k]) => !added.has(k) && !removed.has(k)).map(([, s]) => s);
+    return result;
+}
+
+/**
+ * Symbols touched by a diff, across all its files
+ * @param {Array} files - Entries from splitDiff
+ * @param {Function} readFile - (path) => current file contents, or null if unavailable
+ * @returns {{added: Array, removed: Array, modified: Array}} Symbols as { name, kind, owner, file }
+ */
+function extractSymbols(files, readFile = () => null) {
+    const symbols = { added: [], removed: [], modified: [] };
+    for (const fileDiff of files) {
+        if (!getLanguage(fileDiff.file)) {
+            continue;
+        }
+        let content = null;
+        try {
+            content = readFile(fileDiff.file);
+        } catch (e) {
+            // Deleted or unreadable — the hunks alone will do
+        }
+        const found = extractFileSymbols(fileDiff, content);
+        symbols.added.push(...found.added);
+        symbols.removed.push(...found.removed);
+        symbols.modified.push(...found.modified);
+    }
+    return symbols;
+}
+
+/**
+ * Display name: "tokenize()", "Parser.parse()", "Parser"
+ * @param {{name: string, kind: string, owner: string|null}} symbol - Symbol
+ * @returns {string}
+ */
+function formatSymbol(symbol) {
+    const name = symbol.owner ? `${symbol.owner}.${symbol.name}` : symbol.name;
+    return symbol.kind === 'class' ? name : `${name}()`;
+}
+
+module.exports = {
+    getLanguage,
+    extractSymbols,
+    formatSymbol
+};
@@ -0,0 +1,86 @@
+"use strict";
+/**
+ * 🎫 TICKET KEYS MODULE
+ * Finds the ticket key in a branch name (feature/PROJ-1234-login-fix) and
+ * puts it into commit messages, in the subject or as a trailer
+ */
+
+const { splitMessage, formatMessage } = require('./commit-message');
+
+// Jira-style keys: PROJ-1234
+const DEFAULT_TICKET_PATTERN = '[A-Z][A-Z0-9]+-\\d+';
+
+/**
+ * Compile the configured ticket pattern
+ * @param {string} source - Regular expression source
+ * @returns {RegExp|null} null when the pattern is empty or invalid
+ */
+function compileTicketPattern(source) {
+    if (!source) {
+        return null;
+    }
+    try {
+        return new RegExp(source);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Ticket key in a text (branch name or message)
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Ticket pattern; its first capture group is the key when it has one
+ * @returns {string|null}
+ */
+function findTicket(text, pattern) {
+    const match = pattern && (text || '').match(pattern);
+    return match ? (match[1] || match[0]) : null;
+}
+
+/**
+ * Add a ticket key to a message, unless the message already mentions it
+ * @param {string} message - Commit message
+ * @param {string|null} ticket - Ticket key
+ * @param {object} options - Options
+ * @param {string} options.placement - 'subject', 'trailer' or 'off'
+ * @param {string} options.subjectFormat - e.g. '{subject} ({ticket})' or '[{ticket}] {subject}'
+ * @param {string} options.trailerFormat - e.g. 'Refs: {ticket}'
+ * @returns {string}
+ */
+function applyTicket(message, ticket, { placement, subjectFormat, trailerFormat }) {
+    if (!message || !ticket || placement === 'off' || message.includes(ticket)) {
+        return message;
+    }
+
+    const { subject, body, footers } = splitMessage(message);
+    if (placement === 'trailer') {
+        return formatMessage({ subject, body, footers: [...footers, trailerFormat.replace(/\{ticket\}/g, () => ticket)] });
+    }
+    return formatMessage({
+        subject: subjectFormat.replace(/\{subject\}|\{ticket\}/g, token => token === '{subject}' ? subject : ticket),
+        body,
+        footers
+    });
+}
+
+/**
+ * Characters applyTicket adds to the subject line, so a generated subject can
+ * be kept short enough to still fit the length limit afterwards
+ * @param {string|null} ticket - Ticket key
+ * @param {object} options - Same options as applyTicket
+ * @returns {number}
+ */
+function ticketSubjectLength(ticket, { placement, subjectFormat }) {
+    if (!ticket || placement !== 'subject') {
+        return 0;
+    }
+    return subjectFormat.replace(/\{subject\}/g, '').replace(/\{ticket\}/g, () => ticket).length;
+}
+
+module.exports = {
+    DEFAULT_TICKET_PATTERN,
+    compileTicketPattern,
+    findTicket,
+    applyTicket,
+    ticketSubjectLength
+};
@@ -0,0 +1,320 @@
+"use strict";
+/**
+ * 🎨 UI MODULE
+ * Handles status bar, webviews, and UI-related functionality
+ */
+
+const vscode = require("vscode");
+
+/**
+ * Creates UI manager for status bar and visual elements
+ * @param {object} options - Configuration options
+ * @param {function} options.getStats - Function to get current stats
+ * @param {object} options.gitOps - Git operations (unpushed commit count)
+ * @param {object} options.repoManager - Repository manager (active repo + scoped settings)
+ * @param {object} options.batchQueue - Batch queue (pending files + countdown)
+ * @param {object} options.intervalScheduler - Interval scheduler (timed commit settings)
+ * @param {object} options.pushQueue - Push queue (pushes waiting for a retry)
+ * @param {object} options.pairingSession - Pairing session (co-authors)
+ * @param {object} options.outputChannel - Output channel for logging
+ */
+function createUIManager({ getStats, gitOps, repoManager, batchQueue, intervalScheduler, pushQueue, pairingSession, outputChannel }) {
+    const out = outputChannel;
+    
+    // Create status bar item
+    const statusBar = vscode.window.createStatusBarItem(
+        vscode.StatusBarAlignment.Right, 
+        100
+    );
+    statusBar.command = 'git-autopush.showQuickActions';
+
+    // Rendering runs every second while a batch counts down, so it only reads
+    // these; git is asked again after commits, pushes, retries and resets
+    const aheadCounts = new Map();
+    const refreshing = new Set();
+    let repoCount = 0;
+
+    /**
+     * Recount unpushed commits in the background, then redraw the status bar
+     * @param {string} repoRoot - Repository root, or omitted for every repository counted so far
+     */
+    async function refreshAheadCount(repoRoot) {
+        const roots = repoRoot ? [repoRoot] : [...aheadCounts.keys()];
+        const pending = roots.filter(root => !refreshing.has(root));
+        if (pending.length === 0) {
+            return;
+        }
+        pending.forEach(root => refreshing.add(root));
+        try {
+            repoCount = repoManager.listRepositories().length;
+            for (const root of pending) {
+                aheadCounts.set(root, await gitOps.getAheadCount(root));
+            }
+        } catch (e) {
+            out.appendLine(`git-autopush: ahead count error: ${e?.message || e}`);
+            // Counted as up to date rather than retried on every redraw
+            pending.filter(root => !aheadCounts.has(root)).forEach(root => aheadCounts.set(root, 0));
+        } finally {
+            pending.forEach(root => refreshing.delete(root));
+        }
+        updateStatusBar();
+    }
+
+    /**
+     * Update status bar display
+     */
+    function updateStatusBar() {
+        try {
+            const activeRepo = repoManager.getActiveRepository();
+            const cfg = repoManager.getConfig(activeRepo);
+            const autoCommit = cfg.get('autoCommit', false);
+            const autoPush = cfg.get('autoPush', false);
+            const dryRun = cfg.get('dryRun', true);
+            const showStats = cfg.get('showStatsInStatusBar', true);
+            const stats = getStats();
+            const batch = activeRepo ? batchQueue.getStatus(activeRepo) : null;
+            const intervalMinutes = activeRepo ? intervalScheduler.getIntervalMinutes(activeRepo) : null;
+            const ahead = aheadCounts.get(activeRepo) || 0;
+            const queuedPushes = activeRepo ? pushQueue.getPendingCount(activeRepo) : 0;
+
+            // Build icon and text
+            let icon = autoCommit ? '$(git-commit)' : '$(circle-slash)';
+            let text = icon;
+
+            if (autoCommit) {
+                text += autoPush ? ' Auto' : ' Commit';
+                if (dryRun) text += ' (dry)';
+            } else {
+                text += ' Off';
+            }
+
+            // Only name the repository when there is more than one to choose from
+            if (activeRepo && repoCount > 1) {
+                text += ` · ${repoManager.describeRepo(activeRepo)}`;
+            }
+
+            // Local commits not on the remote yet
+            if (ahead > 0) {
+                text += ` $(arrow-up)${ahead}`;
+            }
+
+            // Batched saves waiting for the quiet window to end
+            if (batch) {
+                text += ` · $(clock) ${batch.count} pending ${batch.secondsLeft}s`;
+            }
+
+            // Co-authors credited on every commit
+            if (pairingSession.isActive()) {
+                text += ` · $(organization) ${pairingSession.describe()}`;
+            }
+
+            if (showStats && stats.streak > 0) {
+                text += ` 🔥${stats.streak}d`;
+            }
+
+            statusBar.text = text;
+
+            // Build tooltip - cleaner layout with proper spacing
+            const commitStatus = autoCommit ? '✅ On' : '⭕ Off';
+            const pushStatus = autoPush ? '✅ On' : '⭕ Off';
+            const dryStatus = dryRun ? '⚠️ Active' : '✅ Disabled';
+
+            const tooltipLines = [
+                `## 🚀 Git AutoPush`,
+                ``,
+                `| Setting | Status |`,
+                `|:--------|:-------|`,
+                `| Repository | ${activeRepo ? repoManager.describeRepo(activeRepo) : '—'}${repoManager.isPinned() ? ' 📌' : ''} |`,
+                `| Auto Commit | ${commitStatus} |`,
+                `| Auto Push | ${pushStatus} |`,
+                `| Dry Run | ${dryStatus} |`,
+                `| Unpushed | ${ahead} commit${ahead === 1 ? '' : 's'}${queuedPushes ? ' (push queued for retry)' : ''} |`,
+                ...(intervalMinutes !== null ? [`| Interval | every ${intervalMinutes} min${autoCommit ? '' : ' (paused)'} |`] : []),
+                ...(batch ? [`| Pending | ${batch.count} file${batch.count === 1 ? '' : 's'}, commit in ${batch.secondsLeft}s |`] : []),
+                ...(pairingSession.isActive() ? [`| Pairing | ${pairingSession.getCoAuthors().map(a => a.name).join(', ')} |`] : []),
+                ``,
+                `---`,
+                ``,
+                `### 📊 Statistics`,
+                ``,
+                `| Metric | Value |`,
+                `|:-------|------:|`,
+                `| Total Commits | **${stats.totalCommits}** |`,
+                `| Today | **${stats.todayCommits}** |`,
+                `| 🔥 Streak | **${stats.streak}d** |`,
+                `| ⭐ Best | **${stats.longestStreak}d** |`,
+                ``,
+                `---`,
+                ``,
+                `*Click for quick actions menu*`
+            ];
+
+            statusBar.tooltip = new vscode.MarkdownString(tooltipLines.join('\n'));
+            statusBar.tooltip.isTrusted = true;
+            statusBar.tooltip.supportHtml = true;
+            
+            // Warning background if active and not dry run
+            statusBar.backgroundColor = autoCommit && !dryRun
+                ? new vscode.ThemeColor('statusBarItem.warningBackground')
+                : undefined;
+
+            statusBar.show();
+
+            // First time this repository is shown: count in the background
+            if (activeRepo && !aheadCounts.has(activeRepo)) {
+                refreshAheadCount(activeRepo);
+            }
+        } catch (e) {
+            out.appendLine(`git-autopush: statusBar error: ${e?.message || e}`);
+        }
+    }
+
+    /**
+     * Create stats webview panel
+     * @param {object} stats - Current stats
+     * @param {Array} achievements - All achievements with earned status
+     */
+    function showStatsPanel(stats, achievements) {
+        const earned = achievements.filter(a => a.earned).map(a => a.name);
+        const locked = achievements.filter(a => !a.earned).map(a => a.name.replace(/^./, '🔒'));
+
+        const panel = vscode.window.createWebviewPanel(
+            'gitAutopushStats',
+            '📊 Git AutoPush Stats',
+            vscode.ViewColumn.One,
+            {}
+        );
+
+        panel.webview.html = `<!DOCTYPE html>
+<html><head><style>
+body { 
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    padding: 30px; 
+    background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+    color: #eee;
+    min-height: 100vh;
+}
+h1 { 
+    font-size: 28px; 
+    margin-bottom: 30px;
+    display: flex;
+    align-items: center;
+    gap: 10px;
+}
+.stat { 
+    font-size: 52px; 
+    font-weight: 700;
+    text-align: center; 
+    margin: 15px 0;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+}
+.label { 
+    font-size: 13px; 
+    color: #888; 
+    text-align: center;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+}
+.grid { 
+    display: grid; 
+    grid-template-columns: repeat(3, 1fr); 
+    gap: 20px; 
+    margin: 30px 0; 
+}
+.card { 
+    background: rgba(255,255,255,0.05);
+    backdrop-filter: blur(10px);
+    padding: 25px; 
+    border-radius: 16px;
+    border: 1px solid rgba(255,255,255,0.1);
+    transition: transform 0.2s, box-shadow 0.2s;
+}
+.card:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 8px 25px rgba(0,0,0,0.3);
+}
+.today-card {
+    background: linear-gradient(135deg, rgba(102,126,234,0.2) 0%, rgba(118,75,162,0.2) 100%);
+    border: 1px solid rgba(102,126,234,0.3);
+}
+.badge { 
+    display: inline-block; 
+    padding: 8px 16px; 
+    margin: 6px; 
+    border-radius: 20px;
+    background: rgba(255,255,255,0.1);
+    font-size: 14px;
+    border: 1px solid rgba(255,255,255,0.1);
+}
+.badge.earned {
+    background: linear-gradient(135deg, rgba(102,126,234,0.3) 0%, rgba(118,75,162,0.3) 100%);
+    border: 1px solid rgba(102,126,234,0.5);
+}
+.locked { 
+    opacity: 0.4;
+    filter: grayscale(100%);
+}
+.achievements { margin-top: 40px; }
+h2 { 
+    font-size: 20px;
+    margin-bottom: 20px;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+}
+.progress-text {
+    font-size: 14px;
+    color: #888;
+    margin-left: auto;
+}
+</style></head>
+<body>
+<h1>📊 Git AutoPush Stats</h1>
+<div class="grid">
+    <div class="card">
+        <div class="stat">${stats.totalCommits}</div>
+        <div class="label">Total Commits</div>
+    </div>
+    <div class="card">
+        <div class="stat">🔥 ${stats.streak}</div>
+        <div class="label">Day Streak</div>
+    </div>
+    <div class="card">
+        <div class="stat">⭐ ${stats.longestStreak}</div>
+        <div class="label">Best Streak</div>
+    </div>
+</div>
+<div class="card today-card">
+    <div class="stat">${stats.todayCommits}</div>
+    <div class="label">Commits Today</div>
+</div>
+<div class="achievements">
+    <h2>🏆 Achievements <span class="progress-text">${earned.length} of ${achievements.length} unlocked</span></h2>
+    <div>
+        ${earned.map(a => `<span class="badge earned">${a}</span>`).join('')}
+        ${locked.map(a => `<span class="badge locked">${a}</span>`).join('')}
+    </div>
+</div>
+</body></html>`;
+
+        return panel;
+    }
+
+    /**
+     * Get the status bar item (for disposal)
+     */
+    function getStatusBarItem() {
+        return statusBar;
+    }
+
+    return {
+        updateStatusBar,
+        refreshAheadCount,
+        showStatsPanel,
+        getStatusBarItem
+    };
+}
+
+module.exports = { createUIManager };
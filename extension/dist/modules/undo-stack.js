@@ -0,0 +1,72 @@
+"use strict";
+/**
+ * ↩️ UNDO STACK MODULE
+ * Remembers the commits the extension made (per workspace, across reloads)
+ * so any of them can be undone later, not just the last one
+ */
+
+const STATE_KEY = 'gitAutopush.undoStack';
+
+// Oldest entries fall off once a repository has this many
+const MAX_ENTRIES_PER_REPO = 30;
+
+/**
+ * Creates the undo stack
+ * @param {object} options - Dependencies
+ * @param {vscode.ExtensionContext} options.context - Extension context (workspaceState persistence)
+ */
+function createUndoStack({ context }) {
+    /**
+     * Recorded commits, newest first
+     * @param {string} repoRoot - Only this repository (all when omitted)
+     * @returns {Array<{repoRoot: string, hash: string, message: string, branch: string, timestamp: number, amendable: boolean}>}
+     */
+    function getEntries(repoRoot) {
+        const entries = context.workspaceState.get(STATE_KEY, []);
+        return repoRoot ? entries.filter(e => e.repoRoot === repoRoot) : entries;
+    }
+
+    function save(entries) {
+        return context.workspaceState.update(STATE_KEY, entries);
+    }
+
+    /**
+     * Record a commit the extension just made
+     * @param {object} entry - { repoRoot, hash, message, branch, amendable }; amendable marks
+     *   commits of the save flow, which later saves may fold into (never reverts or squashes)
+     */
+    async function record({ repoRoot, hash, message, branch, amendable = false }) {
+        const entries = [{ repoRoot, hash, message, branch, timestamp: Date.now(), amendable }, ...getEntries()];
+
+        let kept = 0;
+        await save(entries.filter(e => e.repoRoot !== repoRoot || ++kept <= MAX_ENTRIES_PER_REPO));
+    }
+
+    /**
+     * Follow a commit whose hash changed (rebase, amend)
+     * @param {string} oldHash - Hash before the rewrite
+     * @param {string} newHash - Hash after the rewrite
+     * @param {string} message - New message (amend), or omitted to keep the old one
+     */
+    async function replace(oldHash, newHash, message) {
+        await save(getEntries().map(e => e.hash === oldHash ? { ...e, hash: newHash, message: message || e.message } : e));
+    }
+
+    /**
+     * Forget commits (undone, or gone from the repository)
+     * @param {string[]} hashes - Commit hashes
+     */
+    async function remove(hashes) {
+        const drop = new Set(hashes);
+        await save(getEntries().filter(e => !drop.has(e.hash)));
+    }
+
+    return {
+        getEntries,
+        record,
+        replace,
+        remove
+    };
+}
+
+module.exports = { createUndoStack };
@@ -0,0 +1,93 @@
+"use strict";
+/**
+ * 💰 DIFF BUDGET TESTS
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { budgetDiff, estimateTokens, getDiffBudget } = require('../dist/modules/diff-budget');
+
+/**
+ * Diff that modifies a file with one hunk of the given number of added lines
+ * @param {string} file - Path
+ * @param {number} lineCount - Added lines
+ * @returns {string}
+ */
+function fileDiff(file, lineCount) {
+    const lines = Array.from({ length: lineCount }, (_, i) => `+const value${i} = computeSomething(${i}, 'padding text');`);
+    return [
+        `diff --git a/${file} b/${file}`,
+        'index 1111111..2222222 100644',
+        `--- a/${file}`,
+        `+++ b/${file}`,
+        `@@ -1,0 +1,${lineCount} @@`,
+        ...lines
+    ].join('\n');
+}
+
+test('a diff within the budget is returned unchanged', () => {
+    const diff = fileDiff('src/app.js', 5);
+    const result = budgetDiff(diff, estimateTokens(diff));
+    assert.strictEqual(result.text, diff);
+    assert.deepStrictEqual([result.omitted, result.partial, result.notes], [[], [], []]);
+});
+
+test('the diff budget stays within its bounds', () => {
+    assert.strictEqual(getDiffBudget(0), 1000);
+    assert.strictEqual(getDiffBudget(1000000), 24000);
+    assert.strictEqual(getDiffBudget(10000), 6000);
+});
+
+test('lockfiles are cut before source, tests and docs', () => {
+    // The lockfile comes first and would fit on its own; the other three only fit without it
+    const diff = [
+        fileDiff('package-lock.json', 30),
+        fileDiff('README.md', 10),
+        fileDiff('test/app.test.js', 10),
+        fileDiff('src/app.js', 10)
+    ].join('\n');
+
+    const result = budgetDiff(diff, 800);
+    assert.deepStrictEqual(result.omitted, [{ file: 'package-lock.json', status: 'modified', linesAdded: 30, linesRemoved: 0 }]);
+    assert.ok(result.text.includes('+++ b/src/app.js'));
+    assert.ok(!result.text.includes('package-lock.json'));
+    assert.deepStrictEqual(result.notes, ['- package-lock.json (modified, +30 -0)']);
+});
+
+test('source files win over docs when only one fits', () => {
+    const diff = [fileDiff('docs/guide.md', 40), fileDiff('src/app.js', 40)].join('\n');
+
+    const result = budgetDiff(diff, 1000);
+    assert.deepStrictEqual(result.omitted.map(o => o.file), ['docs/guide.md']);
+    assert.ok(result.text.startsWith('diff --git a/src/app.js'));
+});
+
+test('notes are capped at 20 files plus a count of the rest', () => {
+    const diff = Array.from({ length: 30 }, (_, i) => fileDiff(`src/module${i}.js`, 20)).join('\n');
+
+    const result = budgetDiff(diff, 1000);
+    assert.ok(result.omitted.length > 20);
+    assert.strictEqual(result.notes.length, 21);
+    assert.strictEqual(result.notes[20], `- ... and ${result.omitted.length - 20} more file(s)`);
+    assert.ok(estimateTokens(result.text) + estimateTokens(result.notes.join('\n')) <= 1000);
+});
+
+test('the start of the first hunk is shown when no whole hunk fits', () => {
+    const diff = [fileDiff('src/huge.js', 400), fileDiff('src/other.js', 400)].join('\n');
+
+    const result = budgetDiff(diff, 1000);
+    assert.deepStrictEqual(result.partial, [{ file: 'src/huge.js', hunksShown: 0, hunksTotal: 1 }]);
+    assert.ok(result.text.endsWith('...(hunk truncated)'));
+    assert.deepStrictEqual(result.notes, [
+        '- src/huge.js: only the start of the first hunk shown',
+        '- src/other.js (modified, +400 -0)'
+    ]);
+});
+
+test('text that is not a diff is cut at whole lines', () => {
+    const text = Array.from({ length: 2000 }, (_, i) => `line ${i}`).join('\n');
+
+    const result = budgetDiff(text, 1000);
+    assert.ok(result.text.endsWith('\n...(truncated)'));
+    assert.ok(estimateTokens(result.text) <= 1010);
+});
@@ -0,0 +1,60 @@
+"use strict";
+/**
+ * 🧹 MESSAGE LINTER TESTS
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintMessage } = require('../dist/modules/message-linter');
+
+test('a well-formed message passes', () => {
+    assert.deepStrictEqual(lintMessage('✨ feat(push): add a retry queue for failed pushes\n\nPushes wait and retry with backoff.'), []);
+    assert.deepStrictEqual(lintMessage('fix: handle detached HEAD', { useEmoji: false }), []);
+});
+
+test('an empty message only reports the empty subject', () => {
+    assert.deepStrictEqual(lintMessage('  \n'), ['The subject line is empty']);
+});
+
+test('the emoji setting is enforced both ways', () => {
+    assert.deepStrictEqual(lintMessage('feat: add retries'), ['Start the subject with one emoji that matches the change type']);
+    assert.deepStrictEqual(lintMessage('🐛 fix: handle detached HEAD', { useEmoji: false }), ['Remove all emoji — emoji are turned off']);
+});
+
+test('conventional commit headers are checked', () => {
+    const options = { useEmoji: false };
+    assert.match(lintMessage('add retries', options)[0], /conventional commit prefix/);
+    assert.match(lintMessage('feature: add retries', options)[0], /^Unknown type "feature"/);
+    assert.match(lintMessage('fix(Push Queue): handle errors', options)[0], /^Invalid scope "\(Push Queue\)"/);
+    assert.match(lintMessage('fix: ', options)[0], /conventional commit prefix/);
+    assert.deepStrictEqual(lintMessage('add retries', { ...options, conventionalCommits: false }), []);
+});
+
+test('scopes are limited to the configured list', () => {
+    const options = { useEmoji: false, scopes: ['push', 'ui'] };
+    assert.deepStrictEqual(lintMessage('fix(push, ui): handle errors', options), []);
+    assert.deepStrictEqual(lintMessage('fix(push,git): handle errors', options), ['Scope "git" is not allowed — use one of: push, ui, or leave it out']);
+});
+
+test('the subject must be in the imperative mood', () => {
+    const options = { useEmoji: false };
+    assert.deepStrictEqual(lintMessage('fix: added retries', options), ['Use the imperative mood: "add" instead of "added"']);
+    assert.deepStrictEqual(lintMessage('fix: updates the queue', options), ['Use the imperative mood: "update" instead of "updates"']);
+    assert.deepStrictEqual(lintMessage('fix: patched the queue', options), ['Use the imperative mood (e.g. "add", "fix"), not the past tense "patched"']);
+    assert.deepStrictEqual(lintMessage('perf: speed up diff parsing', options), []);
+});
+
+test('subject length, trailing period and blank line are checked', () => {
+    const options = { useEmoji: false };
+    assert.deepStrictEqual(lintMessage('fix: handle errors.', options), ['Remove the period at the end of the subject']);
+    assert.deepStrictEqual(lintMessage(`fix: ${'a'.repeat(70)}`, options), ['Shorten the subject to 72 characters or fewer (it has 75)']);
+    assert.deepStrictEqual(lintMessage(`fix: ${'a'.repeat(70)}`, { ...options, maxSubjectLength: 100 }), []);
+    assert.deepStrictEqual(lintMessage('fix: handle errors\nMore detail', options), ['Leave a blank line between the subject and the body']);
+    assert.deepStrictEqual(lintMessage('fix: handle errors\nMore detail', { ...options, subjectOnly: true }), []);
+});
+
+test('template sections must be filled in', () => {
+    const options = { useEmoji: false, sections: ['Why', 'Refs'] };
+    assert.deepStrictEqual(lintMessage('fix: handle errors\n\nWhy: pushes failed silently\nRefs: #12', options), []);
+    assert.deepStrictEqual(lintMessage('fix: handle errors\n\nWhy: pushes failed silently', options), ['Fill in the commit template\'s "Refs:" section(s)']);
+});
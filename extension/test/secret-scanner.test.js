@@ -0,0 +1,95 @@
+"use strict";
+/**
+ * 🔒 SECRET SCANNER TESTS
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { scanDiff, compilePatterns, ALLOW_MARKER } = require('../dist/modules/secret-scanner');
+
+/**
+ * Diff that adds the given lines to a new file
+ * @param {string[]} added - Line contents, without the leading "+"
+ * @param {string} file - Path
+ * @returns {string}
+ */
+function diffAdding(added, file = 'src/config.js') {
+    return [
+        `diff --git a/${file} b/${file}`,
+        'new file mode 100644',
+        '--- /dev/null',
+        `+++ b/${file}`,
+        `@@ -0,0 +1,${added.length} @@`,
+        ...added.map(line => `+${line}`)
+    ].join('\n');
+}
+
+// Built from parts so the fixtures themselves do not trip other scanners
+const SAMPLES = {
+    'aws-access-key': `const id = '${'AKIA'}IOSFODNN7EXAMPLE';`,
+    'aws-secret-key': `aws_secret_access_key = ${'wJalrXUtnFEMI/K7MDENG'}/bPxRfiCYEXAMPLEKEY`,
+    'private-key': `-----BEGIN RSA ${'PRIVATE'} KEY-----`,
+    'github-token': `token: ${'ghp_'}${'a1B2c3D4e5'.repeat(4)}`,
+    'openrouter-key': `OPENROUTER_KEY=${'sk-or-v1-'}${'f0E9d8C7b6'.repeat(4)}`,
+    'jwt': `auth = '${'eyJ'}hbGciOiJIUzI1NiJ9.${'eyJ'}zdWIiOiIxMjM0NTY3ODkwIn0.SflKxwRJSMeKKF2QT4fwpM'`,
+    'high-entropy': `const secret = '${'Zq8vL2mXr7Tn4Kp9'}Wb3Yd6Hs1Jf5Gc0E';`
+};
+
+for (const [rule, line] of Object.entries(SAMPLES)) {
+    test(`reports ${rule}`, () => {
+        const findings = scanDiff(diffAdding(['const a = 1;', line]));
+        assert.deepStrictEqual(findings.map(f => [f.rule, f.file, f.line]), [[rule, 'src/config.js', 2]]);
+        assert.ok(!line.includes(findings[0].preview.replace('…', '')), 'preview is redacted');
+    });
+}
+
+test('ignores ordinary code, words and hex digests', () => {
+    const findings = scanDiff(diffAdding([
+        'const message = "Pushed queued commits to the remote branch";',
+        "const sha = 'da39a3ee5e6b4b0d3255bfef95601890afd80709';",
+        'import { createPushQueue } from "./modules/push-queue";'
+    ]));
+    assert.deepStrictEqual(findings, []);
+});
+
+test('skips lines carrying the allow marker', () => {
+    const findings = scanDiff(diffAdding([`${SAMPLES['github-token']} // ${ALLOW_MARKER}`]));
+    assert.deepStrictEqual(findings, []);
+});
+
+test('skips values and lines matched by the allowlist', () => {
+    const byValue = scanDiff(diffAdding([SAMPLES['aws-access-key']]), { allowlist: [/EXAMPLE$/] });
+    const byLine = scanDiff(diffAdding([SAMPLES['jwt']]), { allowlist: [/^auth = /] });
+    assert.deepStrictEqual(byValue, []);
+    assert.deepStrictEqual(byLine, []);
+});
+
+test('scans added lines whose content starts with "+"', () => {
+    const findings = scanDiff(diffAdding([`+${SAMPLES['aws-access-key']}`, `++${SAMPLES['private-key']}`]));
+    assert.deepStrictEqual(findings.map(f => [f.rule, f.line]), [['aws-access-key', 1], ['private-key', 2]]);
+});
+
+test('does not report removed or context lines', () => {
+    const diff = [
+        'diff --git a/.env b/.env',
+        '--- a/.env',
+        '+++ b/.env',
+        '@@ -1,2 +1,2 @@',
+        ` ${SAMPLES['openrouter-key']}`,
+        `-${SAMPLES['github-token']}`,
+        '+GITHUB_TOKEN='
+    ].join('\n');
+    assert.deepStrictEqual(scanDiff(diff), []);
+});
+
+test('custom patterns are reported and invalid ones are skipped', () => {
+    const { patterns, invalid } = compilePatterns(['acme_[0-9]{8}', '(unclosed']);
+    assert.deepStrictEqual(invalid, ['(unclosed']);
+
+    const findings = scanDiff(diffAdding(['ACME_KEY = "acme_12345678"']), { customPatterns: patterns });
+    assert.deepStrictEqual(findings.map(f => f.rule), ['custom-1']);
+});
+
+test('the entropy check can be turned off', () => {
+    assert.deepStrictEqual(scanDiff(diffAdding([SAMPLES['high-entropy']]), { entropy: false }), []);
+});